@@ -0,0 +1,328 @@
+// Local reference signaling server for development and automated tests.
+// Speaks the same Type|Sender|Receiver|Message|ConnectionCount|IsVideoAudioSender[|RoomId] frames as SignalingMessage:
+// frames addressed to "ALL" go to every other peer (skipping peers in a different room), others go to the receiver only.
+// No dependencies: the WebSocket protocol (RFC 6455) is implemented on top of node:http.
+//
+// Usage: node server/signalingServer.js [--port 8080] [--host 0.0.0.0]
+// Requires Node 20.19+ / 22.12+ (ES modules; package.json declares "type": "module").
+import { createServer } from "node:http";
+import { createHash } from "node:crypto";
+import { pathToFileURL } from "node:url";
+import { SignalingMessage, SignalingMessageType } from "../src/signalingMessage.js";
+
+const WEBSOCKET_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+const MAX_MESSAGE_BYTES = 1024 * 1024;
+
+const Opcode = {
+  CONTINUATION: 0x0,
+  TEXT: 0x1,
+  BINARY: 0x2,
+  CLOSE: 0x8,
+  PING: 0x9,
+  PONG: 0xa,
+};
+
+const DEFAULT_OPTIONS = {
+  port: 8080,
+  host: "0.0.0.0",
+  // A peer that drops off is announced with DISPOSE only if it has not reconnected with the same id by then,
+  // so clients that resume their signaling session keep their peer connections.
+  disposeGraceMs: 15000,
+  log: (...args) => console.log("[SignalingServer]", ...args),
+};
+
+function encodeFrame(opcode, payload) {
+  const length = payload.length;
+  let header;
+  if (length < 126) {
+    header = Buffer.alloc(2);
+    header[1] = length;
+  } else if (length < 0x10000) {
+    header = Buffer.alloc(4);
+    header[1] = 126;
+    header.writeUInt16BE(length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(length), 2);
+  }
+  header[0] = 0x80 | opcode; // FIN + opcode; server frames are never masked
+  return Buffer.concat([header, payload]);
+}
+
+// One accepted WebSocket connection: parses incoming frames and reassembles fragmented messages.
+class SignalingConnection {
+  constructor(socket, onMessage, onClose) {
+    this.socket = socket;
+    this.onMessage = onMessage; // (text: string) => void
+    this.onClose = onClose; // () => void
+    this.buffer = Buffer.alloc(0);
+    this.fragments = [];
+    this.isClosed = false;
+
+    this.peerId = null;
+    this.roomId = "";
+
+    socket.on("data", (chunk) => this._receive(chunk));
+    socket.on("end", () => this._finish()); // http.Server sockets allow half-open; a peer that hangs up is gone
+    socket.on("close", () => this._finish());
+    socket.on("error", () => this._finish());
+  }
+
+  // Text frames, so clients receive strings (WebRTCManager also accepts Blob data from other servers)
+  send(text) {
+    if (this.isClosed) return;
+    this.socket.write(encodeFrame(Opcode.TEXT, Buffer.from(text, "utf8")));
+  }
+
+  close(code = 1000) {
+    if (this.isClosed) return;
+    const payload = Buffer.alloc(2);
+    payload.writeUInt16BE(code, 0);
+    this.socket.end(encodeFrame(Opcode.CLOSE, payload)); // Let the close frame flush before the socket goes away
+    this._finish(false);
+  }
+
+  _receive(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+    let frame;
+    while (!this.isClosed && (frame = this._readFrame())) {
+      this._handleFrame(frame);
+    }
+  }
+
+  _readFrame() {
+    if (this.buffer.length < 2) return null;
+    const fin = (this.buffer[0] & 0x80) !== 0;
+    const opcode = this.buffer[0] & 0x0f;
+    const masked = (this.buffer[1] & 0x80) !== 0;
+    let length = this.buffer[1] & 0x7f;
+    let offset = 2;
+
+    if (length === 126) {
+      if (this.buffer.length < 4) return null;
+      length = this.buffer.readUInt16BE(2);
+      offset = 4;
+    } else if (length === 127) {
+      if (this.buffer.length < 10) return null;
+      length = Number(this.buffer.readBigUInt64BE(2));
+      offset = 10;
+    }
+    if (length > MAX_MESSAGE_BYTES) {
+      this.close(1009); // Message too big
+      return null;
+    }
+
+    const maskOffset = offset;
+    if (masked) offset += 4;
+    if (this.buffer.length < offset + length) return null;
+
+    const payload = Buffer.from(this.buffer.subarray(offset, offset + length));
+    if (masked) {
+      for (let i = 0; i < payload.length; i++) {
+        payload[i] ^= this.buffer[maskOffset + (i % 4)];
+      }
+    }
+    this.buffer = this.buffer.subarray(offset + length);
+    return { fin, opcode, payload };
+  }
+
+  _handleFrame({ fin, opcode, payload }) {
+    switch (opcode) {
+      case Opcode.TEXT:
+      case Opcode.BINARY:
+      case Opcode.CONTINUATION:
+        this.fragments.push(payload);
+        if (fin) {
+          const message = Buffer.concat(this.fragments).toString("utf8");
+          this.fragments = [];
+          this.onMessage(message);
+        }
+        break;
+      case Opcode.PING:
+        this.socket.write(encodeFrame(Opcode.PONG, payload));
+        break;
+      case Opcode.PONG:
+        break;
+      case Opcode.CLOSE:
+        this.close();
+        break;
+      default:
+        this.close(1002); // Protocol error
+        break;
+    }
+  }
+
+  _finish(destroySocket = true) {
+    if (this.isClosed) return;
+    this.isClosed = true;
+    if (destroySocket) {
+      this.socket.destroy();
+    }
+    this.onClose();
+  }
+}
+
+class SignalingServer {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.connections = new Set();
+    this.peers = new Map(); // peerId -> SignalingConnection
+    this.disposeTimers = new Map(); // peerId -> timeout
+    this.httpServer = null;
+  }
+
+  // Resolves with the bound port (useful with port 0 in tests)
+  start() {
+    this.httpServer = createServer((req, res) => {
+      res.writeHead(200, { "Content-Type": "text/plain" });
+      res.end(`Signaling server: ${this.peers.size} peer(s) connected\n`);
+    });
+    this.httpServer.on("upgrade", (req, socket) => this._handleUpgrade(req, socket));
+
+    return new Promise((resolve, reject) => {
+      this.httpServer.once("error", reject);
+      this.httpServer.listen(this.options.port, this.options.host, () => {
+        const { port } = this.httpServer.address();
+        this.options.log(`Listening on ws://${this.options.host}:${port}`);
+        resolve(port);
+      });
+    });
+  }
+
+  stop() {
+    this.disposeTimers.forEach((timer) => clearTimeout(timer));
+    this.disposeTimers.clear();
+    this.connections.forEach((connection) => connection.close(1001)); // Going away
+    return new Promise((resolve) => {
+      if (!this.httpServer) {
+        resolve();
+        return;
+      }
+      this.httpServer.close(() => resolve());
+    });
+  }
+
+  getPeers() {
+    return [...this.peers.entries()].map(([peerId, connection]) => ({ peerId, roomId: connection.roomId }));
+  }
+
+  _handleUpgrade(req, socket) {
+    const key = req.headers["sec-websocket-key"];
+    if (req.headers.upgrade?.toLowerCase() !== "websocket" || !key) {
+      socket.end("HTTP/1.1 400 Bad Request\r\n\r\n");
+      return;
+    }
+
+    const accept = createHash("sha1").update(key + WEBSOCKET_GUID).digest("base64");
+    socket.write(
+      "HTTP/1.1 101 Switching Protocols\r\n" +
+        "Upgrade: websocket\r\n" +
+        "Connection: Upgrade\r\n" +
+        `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+    );
+
+    const connection = new SignalingConnection(
+      socket,
+      (text) => this._handleMessage(connection, text),
+      () => this._handleClose(connection)
+    );
+    this.connections.add(connection);
+  }
+
+  _handleMessage(connection, text) {
+    let message;
+    try {
+      message = SignalingMessage.parse(text);
+    } catch (error) {
+      this.options.log(`Dropping malformed frame (${error.message}): ${text.slice(0, 80)}`);
+      return;
+    }
+
+    this._registerPeer(connection, message);
+
+    if (message.ReceiverPeerId === "ALL") {
+      for (const other of this.connections) {
+        if (other === connection || other.peerId === null) continue;
+        // Room-less peers (e.g. a host that predates rooms) still receive everything and filter themselves
+        if (message.RoomId && other.roomId && other.roomId !== message.RoomId) continue;
+        other.send(text);
+      }
+      return;
+    }
+
+    const receiver = this.peers.get(message.ReceiverPeerId);
+    if (receiver) {
+      receiver.send(text);
+    } else {
+      this.options.log(`Dropping ${message.Type} from ${message.SenderPeerId}: ${message.ReceiverPeerId} is not connected`);
+    }
+  }
+
+  // The first frame from a connection tells us who it is; a reconnect with the same id replaces the old connection
+  _registerPeer(connection, message) {
+    if (message.Type === SignalingMessageType.DISPOSE) {
+      this.options.log(`${message.SenderPeerId} disposed its peer connections`);
+    }
+    connection.roomId = message.RoomId || "";
+    if (connection.peerId === message.SenderPeerId) return;
+
+    connection.peerId = message.SenderPeerId;
+    const previous = this.peers.get(message.SenderPeerId);
+    if (previous && previous !== connection) {
+      previous.peerId = null;
+      previous.close(1000);
+    }
+    this.peers.set(message.SenderPeerId, connection);
+    clearTimeout(this.disposeTimers.get(message.SenderPeerId));
+    this.disposeTimers.delete(message.SenderPeerId);
+    this.options.log(`${message.SenderPeerId} joined${connection.roomId ? ` room ${connection.roomId}` : ""} (${this.peers.size} peer(s))`);
+  }
+
+  _handleClose(connection) {
+    this.connections.delete(connection);
+    const { peerId, roomId } = connection;
+    if (peerId === null || this.peers.get(peerId) !== connection) return;
+
+    this.peers.delete(peerId);
+    this.options.log(`${peerId} left (${this.peers.size} peer(s))`);
+
+    const timer = setTimeout(() => {
+      this.disposeTimers.delete(peerId);
+      if (this.peers.has(peerId)) return;
+      const dispose = new SignalingMessage(SignalingMessageType.DISPOSE, peerId, "ALL", `Remove peerConnection for ${peerId}.`, 0, false, roomId);
+      this._broadcastFromServer(dispose);
+    }, this.options.disposeGraceMs);
+    this.disposeTimers.set(peerId, timer);
+  }
+
+  _broadcastFromServer(message) {
+    const text = message.toString();
+    for (const connection of this.connections) {
+      if (connection.peerId === null) continue;
+      if (message.RoomId && connection.roomId && connection.roomId !== message.RoomId) continue;
+      connection.send(text);
+    }
+  }
+}
+
+function parseArgs(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--port") options.port = parseInt(argv[++i], 10);
+    else if (argv[i] === "--host") options.host = argv[++i];
+  }
+  return options;
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const server = new SignalingServer({ port: parseInt(process.env.PORT, 10) || DEFAULT_OPTIONS.port, ...parseArgs(process.argv.slice(2)) });
+  server.start().catch((error) => {
+    // e.g. EADDRINUSE / EACCES when the port is taken or privileged
+    console.error(`Signaling server failed to start: ${error.message}`);
+    process.exit(1);
+  });
+  process.on("SIGINT", () => server.stop().then(() => process.exit(0)));
+}
+
+export { SignalingServer };
@@ -0,0 +1,372 @@
+// Controller <-> Unity message schema carried over the WebRTC data channel.
+// Every message is a JSON envelope: { v: <protocol version>, type: <ControlMessageType>, payload: {...} }
+// Bump CONTROL_PROTOCOL_VERSION whenever a payload shape changes; both sides agree on a version
+// with the HELLO / HELLO_ACK handshake before any other message is accepted.
+// Each side also lists the encodings it can receive ('json', 'binary'); a sender picks its preferred
+// encoding among the ones the remote peer accepts, so the choice is made per peer and per direction.
+import { SEQUENCE_MODULO, isBinaryFrame, encodeMoveFrame, decodeMoveFrame } from "./moveFrameCodec.js";
+
+const CONTROL_PROTOCOL_VERSION = 1;
+const MIN_CONTROL_PROTOCOL_VERSION = 1;
+
+// A host that predates the handshake never answers HELLO; fail instead of silently dropping every message
+const DEFAULT_HANDSHAKE_TIMEOUT_MS = 5000;
+
+const ControlMessageType = {
+  HELLO: "hello",
+  HELLO_ACK: "helloAck",
+  REJECT: "reject",
+  MOVE: "move",
+  ACTION: "action",
+  CALIBRATE: "calibrate",
+  PING: "ping",
+  PONG: "pong",
+  STATE: "state",
+  HAPTIC: "haptic",
+};
+
+const ControlEncoding = {
+  JSON: "json",
+  BINARY: "binary",
+};
+
+const HANDSHAKE_TYPES = [ControlMessageType.HELLO, ControlMessageType.HELLO_ACK, ControlMessageType.REJECT];
+
+// Types that may be sent over a lossy, unordered channel; the receiver drops stale ones by sequence number
+const REALTIME_TYPES = [ControlMessageType.MOVE];
+
+// True when seq comes after last in 16-bit wrapping sequence space
+const isNewerSequence = (seq, last) => {
+  const delta = (seq - last + SEQUENCE_MODULO) % SEQUENCE_MODULO;
+  return delta !== 0 && delta < SEQUENCE_MODULO / 2;
+};
+
+class ControlProtocolError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = "ControlProtocolError";
+    this.code = code; // 'parse' | 'envelope' | 'version' | 'unknown-type' | 'payload' | 'handshake'
+  }
+}
+
+const isFiniteNumber = (value) => typeof value === "number" && Number.isFinite(value);
+const clampUnit = (value) => Math.max(-1, Math.min(1, value));
+const isPlainObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+const isOptionalEncodingList = (value) =>
+  value === undefined || (Array.isArray(value) && value.every((encoding) => typeof encoding === "string"));
+
+// Payload validators: return an error description, or null when the payload is valid.
+const payloadValidators = {
+  [ControlMessageType.HELLO]: (p) => {
+    if (!Number.isInteger(p.minVersion) || !Number.isInteger(p.maxVersion)) return "minVersion and maxVersion must be integers";
+    if (p.minVersion > p.maxVersion) return "minVersion must not exceed maxVersion";
+    if (typeof p.role !== "string") return "role must be a string";
+    if (!isOptionalEncodingList(p.encodings)) return "encodings must be an array of strings";
+    return null;
+  },
+  [ControlMessageType.HELLO_ACK]: (p) => {
+    if (!Number.isInteger(p.version)) return "version must be an integer";
+    if (!isOptionalEncodingList(p.encodings)) return "encodings must be an array of strings";
+    return null;
+  },
+  [ControlMessageType.REJECT]: (p) => (typeof p.reason === "string" ? null : "reason must be a string"),
+  [ControlMessageType.MOVE]: (p) => {
+    if (!isFiniteNumber(p.x) || !isFiniteNumber(p.y)) return "x and y must be finite numbers";
+    if (Math.abs(p.x) > 1 || Math.abs(p.y) > 1) return "x and y must be within [-1, 1]";
+    if (p.seq !== undefined && !(Number.isInteger(p.seq) && p.seq >= 0 && p.seq < SEQUENCE_MODULO)) return "seq must be a 16-bit integer";
+    if (p.t !== undefined && !isFiniteNumber(p.t)) return "t must be a number";
+    return null;
+  },
+  [ControlMessageType.ACTION]: (p) => {
+    if (typeof p.name !== "string" || p.name.length === 0) return "name must be a non-empty string";
+    if (typeof p.pressed !== "boolean") return "pressed must be a boolean";
+    return null;
+  },
+  [ControlMessageType.CALIBRATE]: () => null,
+  [ControlMessageType.PING]: (p) => (Number.isInteger(p.id) && isFiniteNumber(p.t) ? null : "id must be an integer and t a number"),
+  [ControlMessageType.PONG]: (p) => (Number.isInteger(p.id) && isFiniteNumber(p.t) ? null : "id must be an integer and t a number"),
+  [ControlMessageType.STATE]: (p) => (isPlainObject(p.state) ? null : "state must be an object"),
+  [ControlMessageType.HAPTIC]: (p) => {
+    if (!Array.isArray(p.pattern) || p.pattern.length === 0) return "pattern must be a non-empty array";
+    if (!p.pattern.every((ms) => isFiniteNumber(ms) && ms >= 0)) return "pattern entries must be non-negative numbers";
+    return null;
+  },
+};
+
+function validateControlMessage(message) {
+  if (!isPlainObject(message)) {
+    throw new ControlProtocolError("envelope", "Message must be a JSON object");
+  }
+  if (!Number.isInteger(message.v)) {
+    throw new ControlProtocolError("envelope", "Missing protocol version 'v'");
+  }
+  if (typeof message.type !== "string") {
+    throw new ControlProtocolError("envelope", "Missing message 'type'");
+  }
+  const validator = payloadValidators[message.type];
+  if (!validator) {
+    throw new ControlProtocolError("unknown-type", `Unknown message type '${message.type}'`);
+  }
+  if (!isPlainObject(message.payload)) {
+    throw new ControlProtocolError("payload", `'${message.type}' payload must be an object`);
+  }
+  const error = validator(message.payload);
+  if (error) {
+    throw new ControlProtocolError("payload", `Invalid '${message.type}' payload: ${error}`);
+  }
+  return message;
+}
+
+function encodeControlMessage(type, payload = {}, version = CONTROL_PROTOCOL_VERSION) {
+  return JSON.stringify(validateControlMessage({ v: version, type, payload }));
+}
+
+function decodeControlMessage(data) {
+  if (isBinaryFrame(data)) {
+    let frame;
+    try {
+      frame = decodeMoveFrame(data);
+    } catch (e) {
+      throw new ControlProtocolError("parse", e.message);
+    }
+    const { version, ...payload } = frame;
+    return validateControlMessage({ v: version, type: ControlMessageType.MOVE, payload });
+  }
+
+  let message;
+  try {
+    message = JSON.parse(data);
+  } catch (e) {
+    throw new ControlProtocolError("parse", `Message is not valid JSON: ${e.message}`);
+  }
+  return validateControlMessage(message);
+}
+
+// Tracks the handshake with every remote peer and dispatches validated messages to typed handlers.
+class ControlProtocol {
+  // env: { setTimeout, clearTimeout }, e.g. a fake clock in tests
+  constructor(transport, options = {}, env = {}) {
+    this.transport = transport; // (data: string | ArrayBuffer, peerId: string, realtime: boolean) => void
+    this.env = {
+      setTimeout: (callback, ms) => setTimeout(callback, ms),
+      clearTimeout: (id) => clearTimeout(id),
+      ...env,
+    };
+    this.role = options.role || "controller";
+    this.minVersion = options.minVersion || MIN_CONTROL_PROTOCOL_VERSION;
+    this.maxVersion = options.maxVersion || CONTROL_PROTOCOL_VERSION;
+    this.encodings = options.encodings || [ControlEncoding.JSON, ControlEncoding.BINARY]; // Encodings we can receive
+    this.preferredEncoding = options.preferredEncoding || ControlEncoding.BINARY; // Encoding we send when the peer accepts it
+    this.handshakeTimeoutMs = options.handshakeTimeoutMs ?? DEFAULT_HANDSHAKE_TIMEOUT_MS;
+
+    this.peers = new Map(); // peerId -> { state: 'pending' | 'ready' | 'rejected', version, remoteRole, encoding }
+    this.moveSequence = 0;
+    this.lastReceivedMoveSequence = new Map(); // peerId -> last accepted move seq
+    this.staleMovesDropped = 0;
+    this.notReadyWarnings = new Set(); // peerIds already warned about dropping sends before the handshake
+    this.handshakeTimers = new Map(); // peerId -> timer waiting for the remote HELLO / HELLO_ACK
+    this.handlers = new Map(); // ControlMessageType -> (payload, peerId, message) => {}
+
+    // Event Callbacks
+    this.onHandshakeComplete = null; // (peerId: string, version: number, remoteRole: string, encoding: string) => {}
+    this.onHandshakeFailed = null; // (peerId: string, reason: string) => {}
+    this.onInvalidMessage = null; // (peerId: string, error: ControlProtocolError, raw: string | ArrayBuffer) => {}
+  }
+
+  on(type, handler) {
+    if (!payloadValidators[type] || HANDSHAKE_TYPES.includes(type)) {
+      throw new ControlProtocolError("unknown-type", `Cannot register a handler for '${type}'`);
+    }
+    this.handlers.set(type, handler);
+  }
+
+  startHandshake(peerId) {
+    if (this.peers.get(peerId)?.state === "ready") return;
+    this.peers.set(peerId, { state: "pending", version: null, remoteRole: null, encoding: ControlEncoding.JSON });
+    this._clearHandshakeTimer(peerId);
+    this.handshakeTimers.set(peerId, this.env.setTimeout(() => {
+      this.handshakeTimers.delete(peerId);
+      if (this.peers.get(peerId)?.state === "pending") {
+        this._failHandshake(peerId, `No handshake reply within ${this.handshakeTimeoutMs} ms`);
+      }
+    }, this.handshakeTimeoutMs));
+    this._sendRaw(peerId, ControlMessageType.HELLO, {
+      minVersion: this.minVersion,
+      maxVersion: this.maxVersion,
+      role: this.role,
+      encodings: this.encodings,
+    }, this.minVersion);
+  }
+
+  removePeer(peerId) {
+    this.peers.delete(peerId);
+    this.lastReceivedMoveSequence.delete(peerId);
+    this.notReadyWarnings.delete(peerId);
+    this._clearHandshakeTimer(peerId);
+  }
+
+  isReady(peerId) {
+    return this.peers.get(peerId)?.state === "ready";
+  }
+
+  getReadyPeers() {
+    return [...this.peers.entries()].filter(([, peer]) => peer.state === "ready").map(([peerId]) => peerId);
+  }
+
+  getEncoding(peerId) {
+    return this.peers.get(peerId)?.encoding ?? ControlEncoding.JSON;
+  }
+
+  // Sends to one peer, or to every peer that completed the handshake when peerId is null.
+  // Returns true when the message went out to at least one peer.
+  // MOVE x / y are clamped to [-1, 1]; a MOVE with a non-finite x or y is dropped.
+  send(type, payload = {}, peerId = null) {
+    const targets = peerId ? [peerId] : this.getReadyPeers();
+    if (type === ControlMessageType.MOVE) {
+      if (!isFiniteNumber(payload.x) || !isFiniteNumber(payload.y)) {
+        console.warn(`[ControlProtocol] Dropping 'move' with non-finite vector (${payload.x}, ${payload.y}).`);
+        return false;
+      }
+      // Sequence and timestamp let the receiver measure latency and drop stale frames
+      payload = { ...payload, x: clampUnit(payload.x), y: clampUnit(payload.y), seq: this.moveSequence, t: Date.now() >>> 0 };
+      this.moveSequence = (this.moveSequence + 1) % SEQUENCE_MODULO;
+    }
+    let sent = 0;
+    for (const target of targets) {
+      const peer = this.peers.get(target);
+      if (peer?.state !== "ready") {
+        // Moves are sent many times a second; one warning per peer until its handshake completes
+        if (!this.notReadyWarnings.has(target)) {
+          this.notReadyWarnings.add(target);
+          console.warn(`[ControlProtocol] Handshake with ${target} not complete, dropping '${type}' until it is.`);
+        }
+        continue;
+      }
+      if (type === ControlMessageType.MOVE && peer.encoding === ControlEncoding.BINARY) {
+        this.transport(encodeMoveFrame(payload, peer.version), target, true);
+      } else {
+        this._sendRaw(target, type, payload, peer.version);
+      }
+      sent++;
+    }
+    return sent > 0;
+  }
+
+  handleIncoming(raw, peerId) {
+    let message;
+    try {
+      message = decodeControlMessage(raw);
+    } catch (error) {
+      this._reportInvalid(peerId, error, raw);
+      return;
+    }
+
+    switch (message.type) {
+      case ControlMessageType.HELLO:
+        this._handleHello(peerId, message.payload);
+        return;
+      case ControlMessageType.HELLO_ACK:
+        this._handleHelloAck(peerId, message.payload);
+        return;
+      case ControlMessageType.REJECT:
+        this._failHandshake(peerId, `Rejected by remote: ${message.payload.reason}`);
+        return;
+    }
+
+    const peer = this.peers.get(peerId);
+    if (peer?.state !== "ready") {
+      this._reportInvalid(peerId, new ControlProtocolError("handshake", `'${message.type}' received before handshake completed`), raw);
+      return;
+    }
+    if (message.v !== peer.version) {
+      this._reportInvalid(peerId, new ControlProtocolError("version", `Expected version ${peer.version}, got ${message.v}`), raw);
+      return;
+    }
+
+    if (message.type === ControlMessageType.MOVE && message.payload.seq !== undefined) {
+      const last = this.lastReceivedMoveSequence.get(peerId);
+      if (last !== undefined && !isNewerSequence(message.payload.seq, last)) {
+        this.staleMovesDropped++;
+        return;
+      }
+      this.lastReceivedMoveSequence.set(peerId, message.payload.seq);
+    }
+
+    const handler = this.handlers.get(message.type);
+    if (handler) {
+      handler(message.payload, peerId, message);
+    } else {
+      console.log(`[ControlProtocol] No handler for '${message.type}' from ${peerId}.`);
+    }
+  }
+
+  _handleHello(peerId, { minVersion, maxVersion, role, encodings }) {
+    const version = Math.min(maxVersion, this.maxVersion);
+    if (version < Math.max(minVersion, this.minVersion)) {
+      this._sendRaw(peerId, ControlMessageType.REJECT, {
+        reason: `Unsupported protocol version range ${minVersion}-${maxVersion}, expected ${this.minVersion}-${this.maxVersion}`,
+      }, this.minVersion);
+      this._failHandshake(peerId, `No common protocol version with ${role} (${minVersion}-${maxVersion})`);
+      return;
+    }
+    this._sendRaw(peerId, ControlMessageType.HELLO_ACK, { version, encodings: this.encodings }, version);
+    this._completeHandshake(peerId, version, role, encodings);
+  }
+
+  _handleHelloAck(peerId, { version, encodings }) {
+    if (version < this.minVersion || version > this.maxVersion) {
+      this._failHandshake(peerId, `Remote selected unsupported protocol version ${version}`);
+      return;
+    }
+    this._completeHandshake(peerId, version, this.peers.get(peerId)?.remoteRole ?? null, encodings);
+  }
+
+  _completeHandshake(peerId, version, remoteRole, remoteEncodings) {
+    const previous = this.peers.get(peerId);
+    // Peers that predate encoding negotiation do not list encodings and only understand JSON
+    const encoding = remoteEncodings?.includes(this.preferredEncoding) ? this.preferredEncoding : ControlEncoding.JSON;
+    this.peers.set(peerId, { state: "ready", version, remoteRole, encoding });
+    this.notReadyWarnings.delete(peerId);
+    this._clearHandshakeTimer(peerId);
+    this.lastReceivedMoveSequence.delete(peerId); // A peer that handshakes again (e.g. after a reload) restarts its sequence
+    if (previous?.state !== "ready" || previous.version !== version || previous.encoding !== encoding) {
+      console.log(`[ControlProtocol] Handshake with ${peerId} complete, using version ${version} (${encoding}).`);
+      this.onHandshakeComplete?.(peerId, version, remoteRole, encoding);
+    }
+  }
+
+  _failHandshake(peerId, reason) {
+    this.peers.set(peerId, { state: "rejected", version: null, remoteRole: null, encoding: ControlEncoding.JSON });
+    this._clearHandshakeTimer(peerId);
+    console.error(`[ControlProtocol] Handshake with ${peerId} failed: ${reason}`);
+    this.onHandshakeFailed?.(peerId, reason);
+  }
+
+  _clearHandshakeTimer(peerId) {
+    if (!this.handshakeTimers.has(peerId)) return;
+    this.env.clearTimeout(this.handshakeTimers.get(peerId));
+    this.handshakeTimers.delete(peerId);
+  }
+
+  _reportInvalid(peerId, error, raw) {
+    console.warn(`[ControlProtocol] Rejected message from ${peerId}: ${error.message}`);
+    this.onInvalidMessage?.(peerId, error, raw);
+  }
+
+  _sendRaw(peerId, type, payload, version) {
+    this.transport(encodeControlMessage(type, payload, version), peerId, REALTIME_TYPES.includes(type));
+  }
+}
+
+export {
+  CONTROL_PROTOCOL_VERSION,
+  MIN_CONTROL_PROTOCOL_VERSION,
+  DEFAULT_HANDSHAKE_TIMEOUT_MS,
+  ControlMessageType,
+  ControlEncoding,
+  ControlProtocolError,
+  ControlProtocol,
+  validateControlMessage,
+  encodeControlMessage,
+  decodeControlMessage,
+};
@@ -1,11 +1,24 @@
-import { WebRTCManager } from './webRTCManager.js';
+import { WebRTCManager, DataChannelClass } from './webRTCManager.js';
 import { GyroscopeManager } from './gyroscopeManager.js';
+import { ControlProtocol, ControlMessageType, ControlEncoding } from './controlProtocol.js';
+import { IceTransportPolicy, getIceConfigFromQuery } from './iceConfig.js';
+import { RoomManager, RoomStatus } from './roomManager.js';
+import { downloadSensorSession, loadSensorSession } from './sensorRecorder.js';
+import { VirtualJoystick, JoystickMode } from './virtualJoystick.js';
+import { GamepadInput } from './gamepadInput.js';
+import { KeyboardInput } from './keyboardInput.js';
+import { InputManager, InputArbitration } from './inputManager.js';
+import { MoveSendScheduler } from './moveSendScheduler.js';
+import { TiltVisualizer } from './tiltVisualizer.js';
 
 // === Gyroscope Control ===
 const startGyroscopeBtn = document.getElementById("startGyroscopeBtn");
 const calibrateBtn = document.getElementById("calibrateBtn");
 const currentCoordinates = document.getElementById("currentCoordinates");
 const currentDirection = document.getElementById("currentDirection");
+const axisMappingSelect = document.getElementById("axisMappingSelect");
+const responseCurveSelect = document.getElementById("responseCurveSelect");
+const tiltSensitivityInput = document.getElementById("tiltSensitivityInput");
 
 const gyroscopeManager = new GyroscopeManager({
     movementThreshold: 20,        
@@ -16,23 +29,30 @@ const gyroscopeManager = new GyroscopeManager({
     calibrationTime: 500,       
     smoothingFactor: 0.3,        
     deadZone: 5,                 
-    maxThreshold: 60             
+    maxThreshold: 60,
+    axisMapping: axisMappingSelect.value
 });
 
-gyroscopeManager.on('directionChange', (direction, lastDirection) => {
-    console.log(`方向變化: ${lastDirection} → ${direction}`);
+const movementLevelText = {
+    walk: '走',
+    run: '跑'
+};
+
+gyroscopeManager.on('directionChange', (direction, lastDirection, { level }) => {
+    console.log(`方向變化: ${lastDirection} → ${direction}${level ? `（${level}）` : ''}`);
 
-    currentDirection.textContent = direction;
+    currentDirection.textContent = level ? `${direction}（${movementLevelText[level]}）` : direction;
 
     // 可以在這裡添加額外的視覺效果
     currentDirection.className = direction !== '靜止' ? 'direction-active' : '';
 });
 
-gyroscopeManager.on('coordinateChange', (coords) => {
-    console.log(`目前座標: X=${coords.x.toFixed(2)}, Y=${coords.y.toFixed(2)}`);
+const tiltVisualizer = new TiltVisualizer(document.getElementById("tiltVisualizer"));
 
+gyroscopeManager.on('coordinateChange', (coords) => {
     currentCoordinates.textContent = `(${coords.x.toFixed(2)}, ${coords.y.toFixed(2)})`;
-    sendMoveVector(coords);
+    tiltVisualizer.update(gyroscopeManager.getLinearCoordinates(), coords);
+    inputManager.update('tilt', coords);
 });
 
 gyroscopeManager.on('calibrationComplete', (calibration) => {
@@ -88,13 +108,86 @@ calibrateBtn.addEventListener('click', async function() {
     }
 });
 
+// --- 傾斜操作方式 ---
+axisMappingSelect.addEventListener('change', () => {
+    gyroscopeManager.setAxisMapping(axisMappingSelect.value);
+});
+
+// --- 反應曲線與靈敏度（兩軸相同） ---
+function updateTiltResponse() {
+    const response = {
+        sensitivity: Number(tiltSensitivityInput.value),
+        curve: { type: responseCurveSelect.value }
+    };
+    gyroscopeManager.setAxisResponse('x', response);
+    gyroscopeManager.setAxisResponse('y', response);
+    tiltVisualizer.setResponse({ x: gyroscopeManager.getAxisResponse('x'), y: gyroscopeManager.getAxisResponse('y') });
+}
+
+responseCurveSelect.addEventListener('change', updateTiltResponse);
+tiltSensitivityInput.addEventListener('input', updateTiltResponse);
+updateTiltResponse();
+
+// --- 錄製與重播 ---
+const recordSessionBtn = document.getElementById("recordSessionBtn");
+const replayFileInput = document.getElementById("replayFileInput");
+const replaySpeedSelect = document.getElementById("replaySpeedSelect");
+const replayBtn = document.getElementById("replayBtn");
+const sessionStatus = document.getElementById("sessionStatus");
+let loadedSession = null;
+
+recordSessionBtn.addEventListener('click', () => {
+    if (!gyroscopeManager.isRecording()) {
+        gyroscopeManager.startRecording();
+        recordSessionBtn.textContent = '停止並匯出';
+        sessionStatus.textContent = '錄製中...';
+        return;
+    }
+    const session = gyroscopeManager.stopRecording();
+    const filename = downloadSensorSession(session);
+    recordSessionBtn.textContent = '開始錄製';
+    sessionStatus.textContent = `已匯出 ${filename}（${session.events.length} 筆事件）`;
+});
+
+replayFileInput.addEventListener('change', async () => {
+    const file = replayFileInput.files[0];
+    if (!file) return;
+    try {
+        loadedSession = await loadSensorSession(file);
+        replayBtn.disabled = false;
+        sessionStatus.textContent = `已載入 ${file.name}（${loadedSession.platform}，${loadedSession.events.length} 筆事件）`;
+    } catch (error) {
+        console.error('錄製檔載入失敗:', error);
+        loadedSession = null;
+        replayBtn.disabled = true;
+        sessionStatus.textContent = `錄製檔載入失敗: ${error.message}`;
+    }
+});
+
+replayBtn.addEventListener('click', async () => {
+    if (gyroscopeManager.isReplaying()) {
+        gyroscopeManager.stopReplay();
+        return;
+    }
+    replayBtn.textContent = '停止重播';
+    sessionStatus.textContent = '重播中...';
+    const completed = await gyroscopeManager.replay(loadedSession, { speed: Number(replaySpeedSelect.value) });
+    replayBtn.textContent = '重播';
+    sessionStatus.textContent = completed ? '重播完成' : '重播已中止';
+});
+
 //清理資源
 window.addEventListener('beforeunload', () => {
     gyroscopeManager.destroy();
+    gamepadInput.stop();
+    keyboardInput.stop();
+    inputManager.destroy();
+    moveSendScheduler.destroy();
 });
 
 
-const pressed = { up: false, down: false, left: false, right: false };
+// 十字鍵按住的方向；鍵盤的狀態由 KeyboardInput 自己持有，兩者在 getMoveVector 合併
+const dpadPressed = { up: false, down: false, left: false, right: false };
 
 const vectorMap = {
     up: [0, 1],
@@ -103,10 +196,12 @@ const vectorMap = {
     right: [1, 0]
 };
 
+// 同一方向只要十字鍵或鍵盤任一按住就算按住
 function getMoveVector() {
+    const keyboardPressed = keyboardInput.getPressed();
     let x = 0, y = 0;
-    for (const dir in pressed) {
-        if (pressed[dir]) {
+    for (const dir in dpadPressed) {
+        if (dpadPressed[dir] || keyboardPressed[dir]) {
             x += vectorMap[dir][0];
             y += vectorMap[dir][1];
         }
@@ -114,63 +209,217 @@ function getMoveVector() {
     return { x, y };
 }
 
+// 控制通道可用：指定對象時該對象已完成 HELLO 握手，未指定時至少一個對象已完成
+// 信令 WebSocket 斷線時資料通道仍可能開著，反之 WebSocket 連上也不代表資料通道已建立，所以不看 WebSocket 狀態
+function isControlChannelReady(targetId) {
+    return targetId ? controlProtocol.isReady(targetId) : controlProtocol.getReadyPeers().length > 0;
+}
+
+// 由 MoveSendScheduler 呼叫；每秒可能數十次，只在連線狀態改變時記錄
+let isMoveSendingBlocked = false;
+
 function sendMoveVector(vector) {
-    if (window.webRTCManager && window.webRTCManager.isWebSocketConnected) {
-        const targetId = targetPeerIdInput.value.trim();
-        const msg = JSON.stringify({ type: "move", vector });
-        window.webRTCManager.sendViaDataChannel(msg, targetId || null);
-        console.log("送出移動向量: " + msg);
-    } else {
-        console.warn("WebRTC 尚未連線，無法送出移動向量:", vector);
+    const targetId = targetPeerIdInput.value.trim() || null;
+    if (isControlChannelReady(targetId)) {
+        isMoveSendingBlocked = false;
+        controlProtocol.send(ControlMessageType.MOVE, { x: vector.x, y: vector.y }, targetId);
+    } else if (!isMoveSendingBlocked) {
+        isMoveSendingBlocked = true;
+        console.warn("控制通道尚未完成握手，移動向量不會送出");
     }
 }
 
-function startSending() {
-    if (!window.sendInterval) {
-        window.sendInterval = setInterval(() => {
-            const vec = getMoveVector();
-            sendMoveVector(vec);
-        }, 16);
-    }
+// 按鍵動作走可靠通道，按下與放開各送一次
+function sendAction(name, pressed) {
+    const targetId = targetPeerIdInput.value.trim() || null;
+    if (!isControlChannelReady(targetId)) return;
+    controlProtocol.send(ControlMessageType.ACTION, { name, pressed }, targetId);
 }
 
-function stopSendingIfNoDirection() {
-    if (!Object.values(pressed).some(v => v)) {
-        clearInterval(window.sendInterval);
-        window.sendInterval = null;
+// === Input ===
+// 傾斜、觸控搖桿、按鍵與手把都交給 InputManager 決定輸出，再由 MoveSendScheduler 限速送出
+// 網址參數：?inputMode=blend 混合所有使用中的來源（預設依優先順序），?sendRate=30 調整每秒最多送出次數
+const inputParams = new URLSearchParams(window.location.search);
+
+// 只在明顯變化時送出（有上限），靜止時定期 keepalive，放開時一定送出歸零
+const moveSendScheduler = new MoveSendScheduler(sendMoveVector, {
+    maxRateHz: Number(inputParams.get("sendRate")) || 30
+});
+
+const activeInputSource = document.getElementById("activeInputSource");
+
+const inputSourceText = {
+    touch: '觸控搖桿',
+    buttons: '按鍵',
+    gamepad: '手把',
+    tilt: '傾斜'
+};
+
+const inputManager = new InputManager((vector) => moveSendScheduler.update(vector), {
+    arbitration: inputParams.get("inputMode") === InputArbitration.BLEND ? InputArbitration.BLEND : InputArbitration.PRIORITY
+});
+
+// 切到背景時計時器會被節流、感應器也會暫停，直接放開所有輸入
+document.addEventListener('visibilitychange', () => {
+    if (document.hidden) {
+        inputManager.releaseAll();
     }
+});
+
+inputManager.on('activeSourceChange', (sources) => {
+    activeInputSource.textContent = sources.length > 0 ? sources.map(source => inputSourceText[source]).join(' + ') : '無';
+    activeInputSource.classList.toggle('active', sources.length > 0);
+});
+
+// 十字鍵與鍵盤合併為 buttons 來源
+function updateButtonInput() {
+    inputManager.update('buttons', getMoveVector());
 }
 
 function setupButton(id) {
     const btn = document.getElementById(id);
     btn.addEventListener("pointerdown", () => {
-        pressed[id] = true;
-        startSending();
-    });
-    btn.addEventListener("pointerup", () => {
-        pressed[id] = false;
-        stopSendingIfNoDirection();
-    });
-    btn.addEventListener("pointerleave", () => {
-        pressed[id] = false;
-        stopSendingIfNoDirection();
+        dpadPressed[id] = true;
+        updateButtonInput();
     });
-    btn.addEventListener("pointercancel", () => {
-        pressed[id] = false;
-        stopSendingIfNoDirection();
+    ["pointerup", "pointerleave", "pointercancel"].forEach((type) => {
+        btn.addEventListener(type, () => {
+            if (!dpadPressed[id]) return;
+            dpadPressed[id] = false;
+            updateButtonInput();
+        });
     });
 }
 
 ["up", "down", "left", "right"].forEach(setupButton);
 
+// --- 虛擬搖桿 ---
+// 網址加上 ?joystick=fixed 可改用固定原點
+const joystick = new VirtualJoystick(document.getElementById("joystick"), {
+    mode: inputParams.get("joystick") === JoystickMode.FIXED
+        ? JoystickMode.FIXED
+        : JoystickMode.FLOATING
+});
+
+// 放開時搖桿會回報 (0, 0)，InputManager 隨即送出歸零
+joystick.on('move', (vector) => {
+    inputManager.update('touch', vector);
+});
+
+// --- 鍵盤 ---
+const keyboardInput = new KeyboardInput();
+
+keyboardInput.on('change', updateButtonInput);
+
+keyboardInput.on('action', (name, isPressed) => {
+    console.log(`鍵盤動作: ${name} ${isPressed ? '按下' : '放開'}`);
+    sendAction(name, isPressed);
+});
+
+keyboardInput.start();
+
+// --- 實體手把 ---
+const gamepadStatus = document.getElementById("gamepadStatus");
+const gamepadInput = new GamepadInput();
+
+function renderGamepadStatus() {
+    const gamepads = gamepadInput.getConnectedGamepads();
+    gamepadStatus.textContent = gamepads.length > 0
+        ? gamepads.map(pad => `${pad.profile}（${pad.id}）`).join(', ')
+        : '未連接（按下手把任一鍵以啟用）';
+}
+
+gamepadInput.on('connect', renderGamepadStatus);
+gamepadInput.on('disconnect', renderGamepadStatus);
+
+gamepadInput.on('move', (vector) => {
+    inputManager.update('gamepad', vector);
+});
+
+gamepadInput.on('action', (name, pressed) => {
+    console.log(`手把動作: ${name} ${pressed ? '按下' : '放開'}`);
+    sendAction(name, pressed);
+});
+
+gamepadInput.start();
+
+const useDpadToggle = document.getElementById("useDpadToggle");
+useDpadToggle.addEventListener('change', () => {
+    joystick.release();
+    document.getElementById("joystick").classList.toggle('hidden', useDpadToggle.checked);
+    document.querySelector(".controller").classList.toggle('hidden', !useDpadToggle.checked);
+});
+
+// === Control Protocol ===
+// 與 Unity 之間的資料通道訊息都經過 ControlProtocol 做版本協商與驗證
+// 網址加上 ?encoding=json 可強制使用 JSON 移動向量，方便除錯
+const preferredEncoding = new URLSearchParams(window.location.search).get("encoding") === ControlEncoding.JSON
+    ? ControlEncoding.JSON
+    : ControlEncoding.BINARY;
+
+const controlProtocol = new ControlProtocol((data, peerId, realtime) => {
+    const channelClass = realtime ? DataChannelClass.REALTIME : DataChannelClass.RELIABLE;
+    window.webRTCManager?.sendViaDataChannel(data, peerId, channelClass);
+}, { preferredEncoding });
+
+controlProtocol.onHandshakeComplete = (peerId, version, remoteRole, encoding) => {
+    console.log(`與 ${peerId} 完成協定握手，版本 v${version}，編碼 ${encoding}`);
+    if (roomManager.isHost(peerId)) {
+        roomManager.setStatus(RoomStatus.HOST_CONNECTED);
+    }
+};
+
+// 版本不合或主機沒有回應握手（舊版主機不認得 HELLO）時，移動與按鍵都不會送出，要讓玩家看得到
+controlProtocol.onHandshakeFailed = (peerId, reason) => {
+    console.error(`與 ${peerId} 協定握手失敗:`, reason);
+    peerStatus.textContent = `${peerId} 版本不相容`;
+    if (roomManager.isHost(peerId)) {
+        roomManager.setStatus(RoomStatus.HOST_INCOMPATIBLE);
+    }
+    alert(`控制器與遊戲版本不相容: ${reason}`);
+};
+
+controlProtocol.on(ControlMessageType.PING, ({ id, t }, peerId) => {
+    controlProtocol.send(ControlMessageType.PONG, { id, t }, peerId);
+});
+
+controlProtocol.on(ControlMessageType.HAPTIC, ({ pattern }) => {
+    navigator.vibrate?.(pattern);
+});
+
+controlProtocol.on(ControlMessageType.CALIBRATE, () => {
+    calibrateBtn.click();
+});
+
+controlProtocol.on(ControlMessageType.STATE, ({ state }, peerId) => {
+    console.log("遊戲狀態更新", peerId, state);
+});
+
+// === Room ===
+const roomManager = new RoomManager(document.getElementById("roomInfo"));
+
 // === WebRTC Connect ===
 
 const websocketUrlInput = document.getElementById("websocketUrl");
 const localPeerIdInput = document.getElementById("localPeerId");
 const stunServerInput = document.getElementById("stunServer");
+const turnServerInput = document.getElementById("turnServer");
+const turnUsernameInput = document.getElementById("turnUsername");
+const turnCredentialInput = document.getElementById("turnCredential");
+const relayOnlyInput = document.getElementById("relayOnly");
 const targetPeerIdInput = document.getElementById("targetPeerId");
 const connectWsBtn = document.getElementById("connectWsBtn");
 const disconnectWsBtn = document.getElementById("disconnectWsBtn");
+const signalingStatus = document.getElementById("signalingStatus");
+const peerStatus = document.getElementById("peerStatus");
+
+const iceConnectionPhaseText = {
+    disconnected: "連線不穩，等待恢復...",
+    restarting: "重新連線中...",
+    recovered: "已連線",
+    failed: "連線中斷，嘗試重新連線...",
+    closed: "已斷線",
+};
 
 function generatePeerId() {
     return "web-" + Math.random().toString(36).substring(2, 11);
@@ -178,12 +427,40 @@ function generatePeerId() {
 
 localPeerIdInput.value = generatePeerId();
 
-connectWsBtn.addEventListener("click", async () => {
+function splitUrls(value) {
+    return value.split(",").map(url => url.trim()).filter(Boolean);
+}
+
+// 網址參數 (?iceConfigUrl= 或 ?iceServers=) 優先，否則使用畫面上的 STUN / TURN 欄位
+async function resolveIceConfig() {
+    const queryConfig = await getIceConfigFromQuery(window.location.search);
+
+    const iceServers = [];
+    const stunUrls = splitUrls(stunServerInput.value);
+    if (stunUrls.length > 0) {
+        iceServers.push({ urls: stunUrls });
+    }
+    const turnUrls = splitUrls(turnServerInput.value);
+    if (turnUrls.length > 0) {
+        iceServers.push({
+            urls: turnUrls,
+            username: turnUsernameInput.value.trim(),
+            credential: turnCredentialInput.value,
+        });
+    }
+
+    return {
+        iceServers: queryConfig?.iceServers ?? iceServers,
+        iceTransportPolicy: queryConfig?.iceTransportPolicy
+            ?? (relayOnlyInput.checked ? IceTransportPolicy.RELAY : IceTransportPolicy.ALL),
+    };
+}
+
+async function connectSignaling() {
     if (window.webRTCManager && window.webRTCManager.isWebSocketConnected) return;
 
     const wsUrl = websocketUrlInput.value.trim();
     const peerId = localPeerIdInput.value.trim();
-    const stunUrl = stunServerInput.value.trim();
 
     if (!wsUrl || !peerId) {
         alert("請填入 WebSocket URL 和 Peer ID");
@@ -195,31 +472,92 @@ connectWsBtn.addEventListener("click", async () => {
         localVideoPlayerId: "localVideoPlayer",
     };
 
-    window.webRTCManager = new WebRTCManager(peerId, stunUrl, uiConfig);
+    let iceConfig;
+    try {
+        iceConfig = await resolveIceConfig();
+    } catch (e) {
+        console.error("ICE 設定載入失敗", e);
+        alert(`ICE 設定載入失敗: ${e.message}`);
+        return;
+    }
+
+    // Peer ID 與房間代碼會原樣寫進 signaling 訊框，含有 '|' 時建構就會失敗
+    try {
+        window.webRTCManager = new WebRTCManager(peerId, iceConfig.iceServers, uiConfig, {
+            iceTransportPolicy: iceConfig.iceTransportPolicy,
+            roomId: roomManager.roomId,
+            roomHostPeerId: roomManager.unityPeerId,
+        });
+    } catch (e) {
+        console.error("Peer ID 或房間設定無效", e);
+        alert(`Peer ID 或房間設定無效: ${e.message}`);
+        return;
+    }
+    roomManager.setStatus(RoomStatus.CONNECTING);
     const mgr = window.webRTCManager;
 
-    mgr.onWebSocketConnection = (state) => {
-        console.log("WebSocket state:", state);
-        if (state === "open") {
-            connectWsBtn.classList.add("hidden");
-            disconnectWsBtn.classList.remove("hidden");
-            //mgr.initiateOffersToAllPeers();
-        } else {
-            connectWsBtn.classList.remove("hidden");
-            disconnectWsBtn.classList.add("hidden");
+    mgr.onWebSocketConnection = (state, info) => {
+        console.log("WebSocket state:", state, info ?? "");
+        switch (state) {
+            case "open":
+            case "reconnected":
+                signalingStatus.textContent = "已連線";
+                connectWsBtn.classList.add("hidden");
+                disconnectWsBtn.classList.remove("hidden");
+                // 主機的 peer connection 可能撐過了 signaling 斷線
+                if (!controlProtocol.isReady(roomManager.unityPeerId)) {
+                    roomManager.setStatus(RoomStatus.WAITING_FOR_HOST);
+                }
+                //mgr.initiateOffersToAllPeers();
+                break;
+            case "reconnecting":
+                // 斷線期間保留 Disconnect 按鈕，讓玩家可以中止重新連線
+                signalingStatus.textContent = `重新連線中... (第 ${info.attempt} 次)`;
+                break;
+            case "error":
+                break;
+            case "gave-up":
+                signalingStatus.textContent = "重新連線失敗";
+                connectWsBtn.classList.remove("hidden");
+                disconnectWsBtn.classList.add("hidden");
+                roomManager.setStatus(RoomStatus.DISCONNECTED);
+                break;
+            default:
+                signalingStatus.textContent = "未連線";
+                connectWsBtn.classList.remove("hidden");
+                disconnectWsBtn.classList.add("hidden");
+                roomManager.setStatus(RoomStatus.DISCONNECTED);
+                break;
         }
     };
 
     mgr.onWebRTCConnection = (peerId) => {
         console.log("WebRTC connected:", peerId);
+        peerStatus.textContent = `${peerId} 已連線`;
+    };
+
+    mgr.onIceConnectionPhase = (peerId, phase) => {
+        console.log("ICE phase:", peerId, phase);
+        peerStatus.textContent = `${peerId} ${iceConnectionPhaseText[phase]}`;
+        if (roomManager.isHost(peerId)) {
+            roomManager.setStatus(phase === "recovered" ? RoomStatus.HOST_CONNECTED : RoomStatus.HOST_LOST);
+        }
     };
 
     mgr.onDataChannelConnection = (peerId) => {
         console.log("Data channel ready:", peerId);
+        controlProtocol.startHandshake(peerId);
     };
 
     mgr.onDataChannelMessageReceived = (msg, peerId) => {
-        console.log("收到來自", peerId, "的訊息:", msg);
+        controlProtocol.handleIncoming(msg, peerId);
+    };
+
+    mgr.onPeerDisconnected = (peerId) => {
+        controlProtocol.removePeer(peerId);
+        if (roomManager.isHost(peerId)) {
+            roomManager.setStatus(RoomStatus.HOST_LOST);
+        }
     };
 
     try {
@@ -227,7 +565,15 @@ connectWsBtn.addEventListener("click", async () => {
     } catch (e) {
         console.error("WebSocket 連線失敗", e);
     }
-});
+}
+
+connectWsBtn.addEventListener("click", connectSignaling);
+
+// 從 QR code 進入時預設只傳給 Unity 主機，並自動連線
+if (roomManager.hasRoom()) {
+    targetPeerIdInput.value = roomManager.unityPeerId;
+    connectSignaling();
+}
 
 disconnectWsBtn.addEventListener("click", () => {
     window.webRTCManager?.closeWebSocket();
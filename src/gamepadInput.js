@@ -0,0 +1,227 @@
+import { computeJoystickVector } from './virtualJoystick.js';
+
+// 實體手把（Gamepad API）：輪詢 navigator.getGamepads()，左搖桿 / 十字鍵轉成移動向量 { x, y }，按鍵轉成動作（ACTION）
+// Gamepad API 沒有輸入事件，只有 gamepadconnected / gamepaddisconnected，因此有手把連接時每個畫面輪詢一次
+
+// 按鍵配置（對應 "standard" mapping）：buttons 為 按鍵編號 -> 動作名稱
+const DEFAULT_GAMEPAD_MAPPING = {
+    moveAxes: { x: 0, y: 1 }, // 左搖桿
+    invertY: false, // 手把往上推為負值，轉換時已反轉；個別手把方向相反時設為 true
+    dpadButtons: { up: 12, down: 13, left: 14, right: 15 },
+    buttons: { 0: 'a', 1: 'b', 2: 'x', 3: 'y', 4: 'lb', 5: 'rb', 9: 'start' }
+};
+
+// 依手把 id 套用的設定，由上往下比對第一個符合者；mapping 會與預設配置合併
+// 舊手把的搖桿中心飄移較大，死區也需要較大
+const DEFAULT_GAMEPAD_PROFILES = [
+    { name: 'Xbox', match: /xbox|xinput|045e/i, deadZone: 0.15 },
+    { name: 'PlayStation', match: /playstation|dualshock|dualsense|054c/i, deadZone: 0.08 },
+    { name: 'Generic', match: /.*/, deadZone: 0.12 }
+];
+
+const DEFAULT_GAMEPAD_OPTIONS = {
+    profiles: DEFAULT_GAMEPAD_PROFILES,
+    mapping: DEFAULT_GAMEPAD_MAPPING,
+    buttonThreshold: 0.5 // 類比扳機超過此值視為按下
+};
+
+function createBrowserEnv() {
+    return {
+        getGamepads: () => navigator.getGamepads?.() ?? [],
+        eventTarget: globalThis.window,
+        requestAnimationFrame: (callback) => requestAnimationFrame(callback),
+        cancelAnimationFrame: (id) => cancelAnimationFrame(id)
+    };
+}
+
+class GamepadInput {
+    // env: { getGamepads, eventTarget, requestAnimationFrame, cancelAnimationFrame }，測試時可注入替身
+    constructor(options = {}, env = {}) {
+        this.options = { ...DEFAULT_GAMEPAD_OPTIONS, ...options };
+        this.options.mapping = { ...DEFAULT_GAMEPAD_MAPPING, ...options.mapping };
+        this.env = { ...createBrowserEnv(), ...env };
+
+        this.pads = new Map(); // gamepad.index -> { id, profile, mapping, pressedButtons: Set<number>, vector }
+        this.vector = { x: 0, y: 0 };
+        this.frameId = null;
+        this.isStarted = false;
+
+        this.callbacks = {
+            onConnect: null, // ({ index, id, profile }) => {}
+            onDisconnect: null, // ({ index, id, profile }) => {}
+            onMove: null, // ({ x, y }) => {}
+            onAction: null // (name, pressed) => {}
+        };
+
+        this.handleConnected = this.handleConnected.bind(this);
+        this.handleDisconnected = this.handleDisconnected.bind(this);
+        this.poll = this.poll.bind(this);
+    }
+
+    start() {
+        if (this.isStarted) return;
+        this.isStarted = true;
+        this.env.eventTarget.addEventListener('gamepadconnected', this.handleConnected);
+        this.env.eventTarget.addEventListener('gamepaddisconnected', this.handleDisconnected);
+
+        // 頁面載入前就已連接（且按過按鍵）的手把不會再觸發 gamepadconnected
+        for (const gamepad of this.env.getGamepads()) {
+            if (gamepad) {
+                this.addPad(gamepad);
+            }
+        }
+    }
+
+    stop() {
+        if (!this.isStarted) return;
+        this.isStarted = false;
+        this.env.eventTarget.removeEventListener('gamepadconnected', this.handleConnected);
+        this.env.eventTarget.removeEventListener('gamepaddisconnected', this.handleDisconnected);
+        for (const index of [...this.pads.keys()]) {
+            this.removePad(index);
+        }
+    }
+
+    handleConnected(event) {
+        this.addPad(event.gamepad);
+    }
+
+    handleDisconnected(event) {
+        this.removePad(event.gamepad.index);
+    }
+
+    addPad(gamepad) {
+        if (this.pads.has(gamepad.index)) return;
+        const profile = this.options.profiles.find(p => p.match.test(gamepad.id)) ?? { name: 'Generic', deadZone: 0 };
+        const mapping = { ...this.options.mapping, ...profile.mapping };
+        this.pads.set(gamepad.index, {
+            id: gamepad.id,
+            profile,
+            mapping,
+            pressedButtons: new Set(),
+            vector: { x: 0, y: 0 }
+        });
+        console.log(`手把已連接: ${gamepad.id}（${profile.name}，死區 ${profile.deadZone}）`);
+
+        if (this.callbacks.onConnect) {
+            this.callbacks.onConnect({ index: gamepad.index, id: gamepad.id, profile: profile.name });
+        }
+        if (this.frameId === null) {
+            this.frameId = this.env.requestAnimationFrame(this.poll);
+        }
+    }
+
+    // 拔掉手把時放開它按住的按鍵，並讓移動向量歸零
+    removePad(index) {
+        const pad = this.pads.get(index);
+        if (!pad) return;
+        pad.pressedButtons.forEach(button => this.emitAction(pad.mapping.buttons[button], false));
+        this.pads.delete(index);
+        this.updateVector();
+        console.log(`手把已中斷: ${pad.id}`);
+
+        if (this.callbacks.onDisconnect) {
+            this.callbacks.onDisconnect({ index, id: pad.id, profile: pad.profile.name });
+        }
+        if (this.pads.size === 0 && this.frameId !== null) {
+            this.env.cancelAnimationFrame(this.frameId);
+            this.frameId = null;
+        }
+    }
+
+    poll() {
+        this.frameId = null;
+        // 每次都要重新取得：部分瀏覽器回傳的是當下的快照
+        for (const gamepad of this.env.getGamepads()) {
+            const pad = gamepad && this.pads.get(gamepad.index);
+            if (pad) {
+                this.readPad(pad, gamepad);
+            }
+        }
+        this.updateVector();
+
+        if (this.pads.size > 0) {
+            this.frameId = this.env.requestAnimationFrame(this.poll);
+        }
+    }
+
+    readPad(pad, gamepad) {
+        const { mapping, profile } = pad;
+
+        for (const [index, name] of Object.entries(mapping.buttons)) {
+            const button = Number(index);
+            const isPressed = this.isButtonPressed(gamepad, button);
+            if (isPressed !== pad.pressedButtons.has(button)) {
+                if (isPressed) {
+                    pad.pressedButtons.add(button);
+                } else {
+                    pad.pressedButtons.delete(button);
+                }
+                this.emitAction(name, isPressed);
+            }
+        }
+
+        // 十字鍵優先於搖桿
+        const { up, down, left, right } = mapping.dpadButtons;
+        const dpadX = (this.isButtonPressed(gamepad, right) ? 1 : 0) - (this.isButtonPressed(gamepad, left) ? 1 : 0);
+        const dpadY = (this.isButtonPressed(gamepad, up) ? 1 : 0) - (this.isButtonPressed(gamepad, down) ? 1 : 0);
+        if (dpadX !== 0 || dpadY !== 0) {
+            const length = Math.hypot(dpadX, dpadY);
+            pad.vector = { x: dpadX / length, y: dpadY / length };
+            return;
+        }
+
+        const axisX = gamepad.axes[mapping.moveAxes.x] ?? 0;
+        const axisY = gamepad.axes[mapping.moveAxes.y] ?? 0;
+        const { x, y } = computeJoystickVector(axisX, mapping.invertY ? -axisY : axisY, 1, profile.deadZone);
+        pad.vector = { x, y };
+    }
+
+    isButtonPressed(gamepad, index) {
+        const button = gamepad.buttons[index];
+        if (!button) return false;
+        return button.pressed || button.value > this.options.buttonThreshold;
+    }
+
+    // 同時使用多支手把時，以推得最大的那支為準
+    updateVector() {
+        let best = { x: 0, y: 0 };
+        let bestMagnitude = 0;
+        for (const pad of this.pads.values()) {
+            const magnitude = Math.hypot(pad.vector.x, pad.vector.y);
+            if (magnitude > bestMagnitude) {
+                best = pad.vector;
+                bestMagnitude = magnitude;
+            }
+        }
+        if (best.x === this.vector.x && best.y === this.vector.y) return;
+        this.vector = { ...best };
+        if (this.callbacks.onMove) {
+            this.callbacks.onMove({ ...this.vector });
+        }
+    }
+
+    emitAction(name, pressed) {
+        if (!name) return;
+        if (this.callbacks.onAction) {
+            this.callbacks.onAction(name, pressed);
+        }
+    }
+
+    getVector() {
+        return { ...this.vector };
+    }
+
+    getConnectedGamepads() {
+        return [...this.pads.entries()].map(([index, pad]) => ({ index, id: pad.id, profile: pad.profile.name }));
+    }
+
+    on(event, callback) {
+        const key = `on${event.charAt(0).toUpperCase() + event.slice(1)}`;
+        if (this.callbacks.hasOwnProperty(key)) {
+            this.callbacks[key] = callback;
+        }
+    }
+}
+
+export { GamepadInput, DEFAULT_GAMEPAD_MAPPING, DEFAULT_GAMEPAD_PROFILES };
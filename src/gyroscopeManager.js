@@ -1,16 +1,112 @@
+import { SensorRecorder, SensorEventType, REPLAYED_EVENT_TYPES } from './sensorRecorder.js';
+import {
+    IDENTITY_QUATERNION,
+    quaternionFromEuler,
+    eulerFromQuaternion,
+    normalizeQuaternion,
+    alignQuaternion,
+    averageQuaternions,
+    relativeRotation,
+    rotationVectorFromQuaternion,
+    quaternionAngle
+} from './orientationMath.js';
+import { createSensorFilter, SensorFilterType } from './sensorFilters.js';
+import { DEFAULT_AXIS_RESPONSE, shapeAxis } from './responseCurves.js';
+
+// 方向扇區：由 0°（往右）開始逆時針排列
+const DIRECTION_SECTORS = {
+    4: ['往右', '往上', '往左', '往下'],
+    8: ['往右', '往右上', '往上', '往左上', '往左', '往左下', '往下', '往右下']
+};
+
+// 傾斜幅度等級，隨方向事件一起送出；靜止時為 null
+const MovementLevel = {
+    WALK: 'walk',
+    RUN: 'run'
+};
+
+// a - b 換算到 [-180, 180)
+function angleDifference(a, b) {
+    return ((a - b) % 360 + 540) % 360 - 180;
+}
+
+// 傾斜軸：相對校正姿勢的角度，換算成「往右 / 往上為正」
+//   yaw   手機在桌面上水平轉動（alpha，羅盤方向，容易漂移）
+//   pitch 上緣抬起 / 壓低（beta）
+//   roll  左右側傾（gamma，右側往下為正）
+const TiltAxis = {
+    YAW: 'yaw',
+    PITCH: 'pitch',
+    ROLL: 'roll'
+};
+
+// 軸向配置：輸出的 x / y 各由哪個傾斜軸驅動，null 表示該軸固定為 0
+// config.axisMapping 可以是預設名稱，或自訂的 { x, y }
+const AxisMappingPreset = {
+    'yaw-pitch': { x: TiltAxis.YAW, y: TiltAxis.PITCH }, // 舊版行為：水平轉動轉向、前後傾前進
+    'roll-steer': { x: TiltAxis.ROLL, y: null }, // 像方向盤一樣只用側傾轉向，前進後退交給其他輸入
+    'pitch-and-roll': { x: TiltAxis.ROLL, y: TiltAxis.PITCH } // 像滾珠迷宮：往哪邊傾就往哪邊走
+};
+
+// 預設使用瀏覽器 API；測試時可透過 env 注入替身（見 ./testing/fakeSensors.js）
+function createBrowserEnv() {
+    const win = globalThis.window;
+    const nav = globalThis.navigator;
+    return {
+        // 感應器事件來源：需提供 addEventListener/removeEventListener，以及 DeviceOrientationEvent/DeviceMotionEvent（權限請求用）
+        sensorSource: win,
+        // 時鐘：校正與穩定偵測的計時
+        clock: {
+            now: () => Date.now(),
+            setTimeout: (callback, ms) => setTimeout(callback, ms),
+            clearTimeout: (id) => clearTimeout(id),
+            requestAnimationFrame: (callback) => requestAnimationFrame(callback)
+        },
+        audioContextFactory: () => new (win.AudioContext || win.webkitAudioContext)(),
+        // 不支援震動時為 null（iOS）
+        vibrate: nav?.vibrate ? (pattern) => nav.vibrate(pattern) : null,
+        document: globalThis.document,
+        navigator: nav,
+        // 畫面相對手機本體的旋轉角度（0 / 90 / 180 / 270）；舊版 iOS 只有 window.orientation（可能為 -90）
+        getScreenOrientationAngle: () => globalThis.screen?.orientation?.angle ?? win?.orientation ?? 0
+    };
+}
+
 class GyroscopeManager {
-    constructor(config = {}) {
+    // env: { sensorSource, clock, audioContextFactory, vibrate, document, navigator, getScreenOrientationAngle }，未提供的項目使用瀏覽器預設值
+    constructor(config = {}, env = {}) {
+        this.env = { ...createBrowserEnv(), ...env };
+        this.clock = this.env.clock;
+
         // 可配置的設定
         this.config = {
             movementThreshold: config.movementThreshold || 20,
             calibrationTime: config.calibrationTime || 1000,
-            smoothingFactor: config.smoothingFactor || 0.3,
+            smoothingFactor: config.smoothingFactor || 0.3, // EMA 濾波器的係數
+            // 平滑濾波：'ema' | 'oneEuro' | 'median' 或串接的陣列（例如 ['median', 'oneEuro']），見 ./sensorFilters.js
+            filter: config.filter || SensorFilterType.EMA,
+            filterOptions: config.filterOptions || {}, // { oneEuro: { minCutoff, beta, derivativeCutoff }, median: { windowSize } }
             deadZone: config.deadZone || 5,
             maxThreshold: config.maxThreshold || 60,
             enableAudio: config.enableAudio !== false,
             enableVibration: config.enableVibration !== false,
             autoCalibrate: config.autoCalibrate || false,
             debugMode: config.debugMode || false,
+            axisMapping: config.axisMapping || 'yaw-pitch',
+            // 依畫面旋轉換算 pitch / roll，直向與兩種橫向握法的操作手感一致
+            compensateScreenOrientation: config.compensateScreenOrientation !== false,
+            // 各軸的反應曲線 { x, y }：{ sensitivity, invert, innerDeadZone, curve }，未提供的欄位使用預設值，見 ./responseCurves.js
+            axisResponse: config.axisResponse || {},
+            // 方向判斷：依傾斜角度分成 4 或 8 個扇區
+            directionSectors: config.directionSectors || 8,
+            // 遲滯（度）：傾斜幅度超過 enterThreshold 才開始移動，低於 exitThreshold 才回到靜止；
+            // 未設定時 enterThreshold 為 movementThreshold、exitThreshold 為其 0.75 倍
+            enterThreshold: config.enterThreshold,
+            exitThreshold: config.exitThreshold,
+            // 跑步等級的門檻（度），未設定時為 maxThreshold 的 0.75 倍；離開門檻依相同的差距往下調
+            runThreshold: config.runThreshold,
+            sectorHysteresis: config.sectorHysteresis ?? 10, // 超出目前扇區邊界這麼多度才換方向
+            minDirectionHoldMs: config.minDirectionHoldMs ?? 80, // 新方向需維持這麼久才送出方向事件
             ...config
         };
 
@@ -23,9 +119,16 @@ class GyroscopeManager {
             isActive: false,
             currentDirection: '靜止',
             lastDirection: '靜止',
+            currentLevel: null,
+            pendingDirection: null, // { direction, level, since }：等待 minDirectionHoldMs 的新方向
             calibration: { alpha: 0, beta: 0, gamma: 0 },
             current: { alpha: 0, beta: 0, gamma: 0 },
             smoothed: { alpha: 0, beta: 0, gamma: 0 },
+            // 實際運算用的四元數；上面的尤拉角由它們換算，供顯示與回調使用
+            calibrationQuaternion: { ...IDENTITY_QUATERNION },
+            currentQuaternion: { ...IDENTITY_QUATERNION },
+            smoothedQuaternion: { ...IDENTITY_QUATERNION },
+            screenAngle: 0,
             rawHistory: [],
             calibrationBuffer: []
         };
@@ -37,6 +140,14 @@ class GyroscopeManager {
             platform: this.platform
         };
 
+        // 平滑濾波器，設定改變時重建
+        this.sensorFilter = null;
+        this.rebuildSensorFilter();
+
+        // 錄製與重播
+        this.recorder = null;
+        this.replayState = null; // { timer, finish }
+
         // 音效系統
         this.audioContext = null;
         this.audioEnabled = false;
@@ -53,6 +164,7 @@ class GyroscopeManager {
         // 綁定方法
         this.handleOrientation = this.handleOrientation.bind(this);
         this.handleMotion = this.handleMotion.bind(this);
+        this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
         
         this.log(`gyroscopeManager 初始化，檢測到平台: ${this.platform}`);
     }
@@ -66,7 +178,7 @@ class GyroscopeManager {
             const isSupported = await this.verifyGyroscopeSupport();
             if (!isSupported) {
                 // 如果不支援，就拋出一個明確的錯誤
-                alert('您的設備不支援陀螺儀，或未提供完整的感應器數據。');
+                globalThis.alert?.('您的設備不支援陀螺儀，或未提供完整的感應器數據。');
                 throw new Error('您的設備不支援陀螺儀，或未提供完整的感應器數據。');
             }
 
@@ -93,12 +205,14 @@ class GyroscopeManager {
             platform: this.platform
         };
 
+        const { DeviceOrientationEvent, DeviceMotionEvent } = this.env.sensorSource;
+
         try {
             // 檢測設備類型
             this.log('檢測到的平台:', results.platform);
 
             // iOS 13+ 權限請求
-            if (typeof DeviceOrientationEvent.requestPermission === 'function') {
+            if (typeof DeviceOrientationEvent?.requestPermission === 'function') {
                 this.log('iOS 13+ 檢測到，請求方向感應權限...');
                 
                 const orientationPermission = await DeviceOrientationEvent.requestPermission();
@@ -114,7 +228,7 @@ class GyroscopeManager {
                 this.log('非 iOS 13+ 設備，檢查感應器可用性...');
                 
                 // 檢查是否支援 DeviceOrientationEvent
-                if (window.DeviceOrientationEvent) {
+                if (DeviceOrientationEvent) {
                     results.orientation = 'granted';
                     this.log('設備支援方向感應');
                 } else {
@@ -124,7 +238,7 @@ class GyroscopeManager {
             }
 
             // 動作感應權限 (iOS 13+)
-            if (typeof DeviceMotionEvent.requestPermission === 'function') {
+            if (typeof DeviceMotionEvent?.requestPermission === 'function') {
                 this.log('請求動作感應權限...');
                 
                 const motionPermission = await DeviceMotionEvent.requestPermission();
@@ -137,7 +251,7 @@ class GyroscopeManager {
                 }
             } else {
                 // 檢查是否支援 DeviceMotionEvent
-                if (window.DeviceMotionEvent) {
+                if (DeviceMotionEvent) {
                     results.motion = 'granted';
                     this.log('設備支援動作感應');
                 } else {
@@ -163,8 +277,8 @@ class GyroscopeManager {
 
     // 檢測平台
     detectPlatform() {
-        const userAgent = navigator.userAgent;
-        const platform = navigator.platform;
+        const userAgent = this.env.navigator?.userAgent ?? '';
+        const platform = this.env.navigator?.platform ?? '';
         
         this.log('User Agent:', userAgent);
         this.log('Platform:', platform);
@@ -224,13 +338,13 @@ class GyroscopeManager {
             };
             
             // 添加測試監聽器
-            window.addEventListener('deviceorientation', testOrientation);
-            window.addEventListener('devicemotion', testMotion);
+            this.env.sensorSource.addEventListener('deviceorientation', testOrientation);
+            this.env.sensorSource.addEventListener('devicemotion', testMotion);
             
             // 2秒後檢查結果
-            setTimeout(() => {
-                window.removeEventListener('deviceorientation', testOrientation);
-                window.removeEventListener('devicemotion', testMotion);
+            this.clock.setTimeout(() => {
+                this.env.sensorSource.removeEventListener('deviceorientation', testOrientation);
+                this.env.sensorSource.removeEventListener('devicemotion', testMotion);
                 
                 if (!orientationReceived) {
                     this.log('警告: 方向感應器可能無法正常工作');
@@ -281,16 +395,16 @@ class GyroscopeManager {
                     this.log('接收到完整的陀螺儀數據');
                     receivedCompleteData = true;
                     // 一旦收到完整數據，就可以提前結束監聽
-                    window.removeEventListener('deviceorientation', testHandler);
+                    this.env.sensorSource.removeEventListener('deviceorientation', testHandler);
                 }
             };
 
-            window.addEventListener('deviceorientation', testHandler);
+            this.env.sensorSource.addEventListener('deviceorientation', testHandler);
 
             // 設定一個計時器，在指定時間後做出最終判斷
-            setTimeout(() => {
+            this.clock.setTimeout(() => {
                 // 無論結果如何，都要移除這個暫時的監聽器，避免重複執行
-                window.removeEventListener('deviceorientation', testHandler);
+                this.env.sensorSource.removeEventListener('deviceorientation', testHandler);
 
                 if (receivedCompleteData) {
                     this.log('驗證成功: 陀螺儀受支援');
@@ -307,7 +421,7 @@ class GyroscopeManager {
         if (!this.config.enableAudio) return;
         
         try {
-            this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+            this.audioContext = this.env.audioContextFactory();
             this.audioEnabled = true;
             this.log(`音效系統初始化成功 (${this.platform})`);
         } catch (error) {
@@ -317,40 +431,39 @@ class GyroscopeManager {
 
     setupEventListeners() {
         // 方向感應
-        window.addEventListener('deviceorientation', this.handleOrientation);
+        this.env.sensorSource.addEventListener('deviceorientation', this.handleOrientation);
         
         // 動作感應（如果支援）
-        if (window.DeviceMotionEvent) {
-            window.addEventListener('devicemotion', this.handleMotion);
+        if (this.env.sensorSource.DeviceMotionEvent) {
+            this.env.sensorSource.addEventListener('devicemotion', this.handleMotion);
         }
 
         // 頁面可見性變化
-        document.addEventListener('visibilitychange', () => {
-            if (document.hidden) {
-                this.pause();
-            } else {
-                this.resume();
-            }
-        });
+        this.env.document?.addEventListener('visibilitychange', this.handleVisibilityChange);
         
         this.log(`事件監聽器設定完成 (${this.platform})`);
     }
 
+    handleVisibilityChange() {
+        if (this.env.document.hidden) {
+            this.pause();
+        } else {
+            this.resume();
+        }
+    }
+
     // === 校正系統 ===
     async calibrate() {
         return new Promise((resolve, reject) => {
-            this.state.isCalibrated = false;
-            
-            this.state.calibrationBuffer = [];
-            this.log('開始校正，請保持手機靜止...');
+            this.beginCalibration();
             
-            const startTime = Date.now();
+            const startTime = this.clock.now();
             const collectData = () => {
-                if (Date.now() - startTime > this.config.calibrationTime) {
+                if (this.clock.now() - startTime > this.config.calibrationTime) {
                     this.completeCalibration();
                     resolve(this.state.calibration);
                 } else {
-                    requestAnimationFrame(collectData);
+                    this.clock.requestAnimationFrame(collectData);
                 }
             };
             
@@ -358,6 +471,13 @@ class GyroscopeManager {
         });
     }
 
+    beginCalibration() {
+        this.state.isCalibrated = false;
+        this.state.calibrationBuffer = [];
+        this.recorder?.record(SensorEventType.CALIBRATION_START, null);
+        this.log('開始校正，請保持手機靜止...');
+    }
+
     async autoCalibrate() {
         // 自動校正
         await this.waitForStable();
@@ -366,12 +486,12 @@ class GyroscopeManager {
 
     async waitForStable(timeout = 5000) {
         return new Promise((resolve) => {
-            const startTime = Date.now();
+            const startTime = this.clock.now();
             let stableCount = 0;
             const requiredStableCount = 10;
             
             const checkStable = () => {
-                if (Date.now() - startTime > timeout) {
+                if (this.clock.now() - startTime > timeout) {
                     resolve();
                     return;
                 }
@@ -386,44 +506,31 @@ class GyroscopeManager {
                     stableCount = 0;
                 }
                 
-                setTimeout(checkStable, 100);
+                this.clock.setTimeout(checkStable, 100);
             };
             
             checkStable();
         });
     }
 
+    // 最近 5 筆姿勢都在平均姿勢 2° 以內（以夾角判斷，alpha 跨過 0 / 360 時不會誤判）
     isCurrentStateStable() {
         if (this.state.rawHistory.length < 5) return false;
         
-        const recent = this.state.rawHistory.slice(-5);
-        const avgAlpha = recent.reduce((sum, item) => sum + item.alpha, 0) / recent.length;
-        const avgBeta = recent.reduce((sum, item) => sum + item.beta, 0) / recent.length;
+        const recent = this.state.rawHistory.slice(-5).map(quaternionFromEuler);
+        const average = averageQuaternions(recent);
         
-        return recent.every(item => 
-            Math.abs(item.alpha - avgAlpha) < 2 && 
-            Math.abs(item.beta - avgBeta) < 2
-        );
+        return recent.every(q => quaternionAngle(q, average) < 2);
     }
 
     completeCalibration() {
         if (this.state.calibrationBuffer.length === 0) return;
         
-        // 計算平均值作為校正基準
-        const sum = this.state.calibrationBuffer.reduce((acc, item) => ({
-            alpha: acc.alpha + item.alpha,
-            beta: acc.beta + item.beta,
-            gamma: acc.gamma + item.gamma
-        }), { alpha: 0, beta: 0, gamma: 0 });
-        
-        const count = this.state.calibrationBuffer.length;
-        this.state.calibration = {
-            alpha: sum.alpha / count,
-            beta: sum.beta / count,
-            gamma: sum.gamma / count
-        };
+        // 以平均姿勢作為校正基準；直接平均尤拉角在 alpha 跨過 0 / 360 時會得到相反方向
+        this.setCalibrationQuaternion(averageQuaternions(this.state.calibrationBuffer.map(quaternionFromEuler)));
         
         this.state.isCalibrated = true;
+        this.recorder?.record(SensorEventType.CALIBRATION, { ...this.state.calibration });
         this.log('校正完成:', this.state.calibration);
         
         if (this.callbacks.onCalibrationComplete) {
@@ -432,14 +539,30 @@ class GyroscopeManager {
     }
 
     // === 感應器數據處理 ===
+    // 重播期間忽略即時感應器事件
     handleOrientation(event) {
+        if (this.replayState) return;
+        this.processOrientation(event);
+    }
+
+    handleMotion(event) {
+        if (this.replayState) return;
+        this.processMotion(event);
+    }
+
+    // timestamp（毫秒）供濾波器計算取樣間隔；重播時使用錄製的時間點，不受倍速影響
+    processOrientation(event, timestamp = this.clock.now()) {
         if (!this.state.isActive) return;
         
         const { alpha, beta, gamma } = event;
         if (alpha === null || beta === null || gamma === null) return;
+        // 重播時使用錄製當下的畫面角度
+        this.state.screenAngle = event.screenAngle ?? this.env.getScreenOrientationAngle();
+        this.recorder?.recordOrientation(event, this.state.screenAngle);
         
         // 更新原始數據
         this.state.current = { alpha, beta, gamma };
+        this.state.currentQuaternion = quaternionFromEuler(this.state.current);
         
         // 記錄歷史數據
         this.addToHistory(this.state.current);
@@ -450,11 +573,11 @@ class GyroscopeManager {
         }
         
         // 平滑處理
-        this.applySmoothingFilter();
+        this.applySmoothingFilter(timestamp);
         
         // 計算相對變化
         if (this.state.isCalibrated) {
-            this.updateMovementDirection();
+            this.updateMovementDirection(timestamp);
         }
         
         // 觸發數據回調
@@ -467,8 +590,9 @@ class GyroscopeManager {
         }
     }
 
-    handleMotion(event) {
+    processMotion(event) {
         if (!this.state.isActive) return;
+        this.recorder?.recordMotion(event);
         
         const acceleration = event.acceleration;
         if (acceleration) {
@@ -486,19 +610,17 @@ class GyroscopeManager {
         }
     }
 
+    // 輸出座標：傾斜量除以 maxThreshold 後依 axisResponse 套用靈敏度、死區、曲線與反向
     getDirectionAsCoordinates() {
         if (!this.state.isCalibrated) {
             return { x: 0, y: 0 }; // 如果尚未校正，回傳中心點
         }
 
-        const { alpha, beta } = this.calculateRelativeMovement();
+        const tilt = this.getTiltVector();
         const maxAngle = this.config.maxThreshold;
 
-        let x = -alpha / maxAngle;
-        let y = beta / maxAngle;
-
-        x = Math.max(-1, Math.min(1, x));
-        y = Math.max(-1, Math.min(1, y));
+        let x = shapeAxis(tilt.x / maxAngle, this.getAxisResponse('x'));
+        let y = shapeAxis(tilt.y / maxAngle, this.getAxisResponse('y'));
 
         const magnitude = Math.sqrt(x * x + y * y);
         if (magnitude > 1) {
@@ -509,6 +631,31 @@ class GyroscopeManager {
         return { x, y };
     }
 
+    // 未套用反應曲線的座標（只做除以 maxThreshold 與夾限），供視覺化比較
+    getLinearCoordinates() {
+        if (!this.state.isCalibrated) {
+            return { x: 0, y: 0 };
+        }
+        const tilt = this.getTiltVector();
+        const maxAngle = this.config.maxThreshold;
+        return {
+            x: Math.max(-1, Math.min(1, tilt.x / maxAngle)),
+            y: Math.max(-1, Math.min(1, tilt.y / maxAngle))
+        };
+    }
+
+    getAxisResponse(axis) {
+        return { ...DEFAULT_AXIS_RESPONSE, ...this.config.axisResponse[axis] };
+    }
+
+    // 只更新指定軸的部分欄位，例如 setAxisResponse('y', { invert: true })
+    setAxisResponse(axis, response) {
+        this.config.axisResponse = {
+            ...this.config.axisResponse,
+            [axis]: { ...this.config.axisResponse[axis], ...response }
+        };
+    }
+
     addToHistory(data) {
         this.state.rawHistory.push(data);
         if (this.state.rawHistory.length > 50) {
@@ -516,39 +663,74 @@ class GyroscopeManager {
         }
     }
 
-    applySmoothingFilter() {
-        const factor = this.config.smoothingFactor;
-        
+    // 濾波在四元數分量上做，跨過 alpha 0 / 360 或 beta ±90° 時不會跳值
+    // q 與 -q 是同一個姿勢，先翻到與上一筆輸出同一側，分量才會連續
+    applySmoothingFilter(timestamp) {
         if (this.state.rawHistory.length === 1) {
-            this.state.smoothed = { ...this.state.current };
-        } else {
-            this.state.smoothed = {
-                alpha: this.state.smoothed.alpha * (1 - factor) + this.state.current.alpha * factor,
-                beta: this.state.smoothed.beta * (1 - factor) + this.state.current.beta * factor,
-                gamma: this.state.smoothed.gamma * (1 - factor) + this.state.current.gamma * factor
-            };
+            this.sensorFilter.reset();
         }
+        const { w, x, y, z } = alignQuaternion(this.state.currentQuaternion, this.state.smoothedQuaternion);
+        const filtered = this.sensorFilter.filter([w, x, y, z], timestamp);
+        this.state.smoothedQuaternion = normalizeQuaternion({ w: filtered[0], x: filtered[1], y: filtered[2], z: filtered[3] });
+        this.state.smoothed = eulerFromQuaternion(this.state.smoothedQuaternion);
+    }
+
+    rebuildSensorFilter() {
+        const { filter, filterOptions, smoothingFactor } = this.config;
+        this.sensorFilter = createSensorFilter(filter, {
+            ...filterOptions,
+            [SensorFilterType.EMA]: { smoothingFactor, ...filterOptions[SensorFilterType.EMA] }
+        });
     }
 
     // === 方向判斷系統 ===
-    updateMovementDirection() {
-        const { alpha, beta } = this.calculateRelativeMovement();
-        const direction = this.determineDirection(alpha, beta);
+    // timestamp（毫秒）用於 minDirectionHoldMs，重播時為錄製的時間點
+    updateMovementDirection(timestamp = this.clock.now()) {
+        const tilt = this.getTiltVector();
+        // 反向的軸方向判斷也要反向，才會與輸出座標一致
+        const x = this.getAxisResponse('x').invert ? -tilt.x : tilt.x;
+        const y = this.getAxisResponse('y').invert ? -tilt.y : tilt.y;
+        const direction = this.determineDirection(x, y);
+        const level = this.determineMovementLevel(direction, Math.hypot(x, y));
 
         const coords = this.getDirectionAsCoordinates();
+        this.recorder?.record(SensorEventType.COORDINATE, coords);
         if (this.callbacks.onCoordinateChange) {
             this.callbacks.onCoordinateChange(coords);
         }
         
-        if (direction !== this.state.currentDirection) {
-            this.state.lastDirection = this.state.currentDirection;
-            this.state.currentDirection = direction;
-            
-            // 觸發方向變化回調
-            if (this.callbacks.onDirectionChange) {
-                this.callbacks.onDirectionChange(direction, this.state.lastDirection);
-            }
-            
+        this.updateDirectionState(direction, level, timestamp);
+    }
+
+    // 方向或等級改變後需維持 minDirectionHoldMs 才生效，避免短暫晃動觸發音效與震動
+    updateDirectionState(direction, level, timestamp) {
+        const { currentDirection, currentLevel } = this.state;
+        if (direction === currentDirection && level === currentLevel) {
+            this.state.pendingDirection = null;
+            return;
+        }
+
+        const pending = this.state.pendingDirection;
+        if (!pending || pending.direction !== direction || pending.level !== level) {
+            this.state.pendingDirection = { direction, level, since: timestamp };
+        }
+        if (timestamp - this.state.pendingDirection.since < this.config.minDirectionHoldMs) return;
+
+        this.state.pendingDirection = null;
+        const directionChanged = direction !== currentDirection;
+        if (directionChanged) {
+            this.state.lastDirection = currentDirection;
+        }
+        this.state.currentDirection = direction;
+        this.state.currentLevel = level;
+        this.recorder?.record(SensorEventType.DIRECTION, direction);
+        
+        // 觸發方向變化回調（只有等級改變時 direction 與 previousDirection 相同）
+        if (this.callbacks.onDirectionChange) {
+            this.callbacks.onDirectionChange(direction, currentDirection, { level, previousLevel: currentLevel });
+        }
+        
+        if (directionChanged) {
             // 播放音效
             this.playFeedbackSound(direction);
             
@@ -557,49 +739,107 @@ class GyroscopeManager {
         }
     }
 
+    // 相對校正姿勢的 alpha / beta / gamma 變化量（度）；beta / gamma 已換算到畫面座標（見 compensateScreenOrientation）
+    // 由校正姿勢到目前姿勢的相對旋轉求得，繞手機 z / x / y 軸的分量分別對應 alpha / beta / gamma
     calculateRelativeMovement() {
-        const deltaAlpha = this.normalizeAngle(
-            this.state.smoothed.alpha - this.state.calibration.alpha
-        );
-        const deltaBeta = this.state.smoothed.beta - this.state.calibration.beta;
-        
-        return { alpha: deltaAlpha, beta: deltaBeta };
+        const relative = relativeRotation(this.state.calibrationQuaternion, this.state.smoothedQuaternion);
+        const rotation = rotationVectorFromQuaternion(relative);
+        const deltaAlpha = rotation.z;
+        const deltaBeta = rotation.x;
+        const deltaGamma = rotation.y;
+
+        if (!this.config.compensateScreenOrientation) {
+            return { alpha: deltaAlpha, beta: deltaBeta, gamma: deltaGamma };
+        }
+        return { alpha: deltaAlpha, ...this.rotateTiltToScreen(deltaBeta, deltaGamma, this.state.screenAngle) };
+    }
+
+    // 把手機本體座標的傾斜轉到畫面座標：以「往下傾的方向」(gamma, -beta) 表示傾斜，隨畫面旋轉角度旋轉
+    // 例如橫向（90°）時手機上緣在畫面左側，壓低畫面右緣等於抬起手機上緣（beta 增加）
+    rotateTiltToScreen(beta, gamma, screenAngle) {
+        const radians = screenAngle * Math.PI / 180;
+        const cos = Math.round(Math.cos(radians) * 1e9) / 1e9; // 避免 90° 時出現 6e-17 之類的殘值
+        const sin = Math.round(Math.sin(radians) * 1e9) / 1e9;
+        const downX = gamma;
+        const downY = -beta;
+        const screenDownX = downX * cos - downY * sin;
+        const screenDownY = downX * sin + downY * cos;
+        return { beta: -screenDownY, gamma: screenDownX };
     }
 
-    determineDirection(alpha, beta) {
-        // const absAlpha = Math.abs(alpha);
-        // const absBeta = Math.abs(beta);
-        const threshold = this.config.movementThreshold;
+    // 依 axisMapping 把相對傾斜轉成角度向量（度），往右 / 往上為正
+    getTiltVector() {
+        const { alpha, beta, gamma } = this.calculateRelativeMovement();
+        const axisValues = {
+            [TiltAxis.YAW]: -alpha, // alpha 逆時針增加，> 0 為往左
+            [TiltAxis.PITCH]: beta,
+            [TiltAxis.ROLL]: gamma
+        };
+        const mapping = this.getAxisMapping();
+        return {
+            x: mapping.x ? axisValues[mapping.x] : 0,
+            y: mapping.y ? axisValues[mapping.y] : 0
+        };
+    }
+
+    getAxisMapping() {
+        const { axisMapping } = this.config;
+        const mapping = typeof axisMapping === 'string' ? AxisMappingPreset[axisMapping] : axisMapping;
+        if (!mapping) {
+            throw new Error(`未知的軸向配置: ${axisMapping}`);
+        }
+        return mapping;
+    }
+
+    // 傾斜幅度門檻（度），設定未指定的部分由 movementThreshold / maxThreshold 推算
+    getDirectionThresholds() {
+        const enter = this.config.enterThreshold ?? this.config.movementThreshold;
+        const exit = Math.min(enter, this.config.exitThreshold ?? enter * 0.75);
+        const runEnter = this.config.runThreshold ?? this.config.maxThreshold * 0.75;
+        return { enter, exit, runEnter, runExit: runEnter - (enter - exit) };
+    }
+
+    // x, y 為 getTiltVector() 的角度，往右 / 往上為正
+    // 以傾斜幅度決定是否移動、以角度決定扇區；都參考目前方向做遲滯，門檻附近不會每個畫面來回切換
+    // 靜止時參考等待中的方向，否則剛起步時在扇區邊界來回跳會讓等待時間一直重算
+    determineDirection(x, y) {
+        const reference = this.state.currentDirection !== '靜止'
+            ? this.state.currentDirection
+            : this.state.pendingDirection?.direction ?? '靜止';
+        const isMoving = reference !== '靜止';
+        const { enter, exit } = this.getDirectionThresholds();
         
         // 死區處理
-        if (Math.abs(alpha) < this.config.deadZone && Math.abs(beta) < this.config.deadZone) {
+        if (Math.abs(x) < this.config.deadZone && Math.abs(y) < this.config.deadZone) {
+            return '靜止';
+        }
+        if (Math.hypot(x, y) < (isMoving ? exit : enter)) {
             return '靜止';
         }
 
-        const isUp = beta > threshold;
-        const isDown = beta < -threshold;
-        const isLeft = alpha > threshold; // alpha > 0 為往左
-        const isRight = alpha < -threshold; // alpha < 0 為往右
+        const sectors = DIRECTION_SECTORS[this.config.directionSectors];
+        if (!sectors) {
+            throw new Error(`方向扇區數只能是 4 或 8: ${this.config.directionSectors}`);
+        }
+        const sectorWidth = 360 / sectors.length;
+        const angle = Math.atan2(y, x) * 180 / Math.PI;
+
+        // 仍在目前扇區（邊界再放寬 sectorHysteresis）內時維持原方向
+        const referenceIndex = sectors.indexOf(reference);
+        if (referenceIndex !== -1 &&
+            Math.abs(angleDifference(angle, referenceIndex * sectorWidth)) <= sectorWidth / 2 + this.config.sectorHysteresis) {
+            return reference;
+        }
 
-        // 優先判斷對角線方向
-        if (isUp && isRight) return '往右上';
-        if (isUp && isLeft) return '往左上';
-        if (isDown && isRight) return '往右下';
-        if (isDown && isLeft) return '往左下';
-        
-        // 判斷基本四方向
-        if (isUp) return '往上';
-        if (isDown) return '往下';
-        if (isLeft) return '往左';
-        if (isRight) return '往右';
-        
-        return '靜止';
+        const index = Math.round(angle / sectorWidth);
+        return sectors[(index % sectors.length + sectors.length) % sectors.length];
     }
 
-    normalizeAngle(angle) {
-        while (angle > 180) angle -= 360;
-        while (angle < -180) angle += 360;
-        return angle;
+    determineMovementLevel(direction, magnitude) {
+        if (direction === '靜止') return null;
+        const { runEnter, runExit } = this.getDirectionThresholds();
+        const isRunning = this.state.currentLevel === MovementLevel.RUN;
+        return magnitude >= (isRunning ? runExit : runEnter) ? MovementLevel.RUN : MovementLevel.WALK;
     }
 
     // === 反饋系統 ===
@@ -654,7 +894,7 @@ class GyroscopeManager {
 
     // === 震動反饋(iOS不支援) ===
     triggerVibration(direction) {
-        if (!this.config.enableVibration || !navigator.vibrate) return;
+        if (!this.config.enableVibration || !this.env.vibrate) return;
         
         const patterns = {
             '往上': [50],
@@ -670,7 +910,7 @@ class GyroscopeManager {
         };
         
         const pattern = patterns[direction] || [20];
-        navigator.vibrate(pattern);
+        this.env.vibrate(pattern);
     }
 
     // === 搖晃偵測 ===
@@ -680,6 +920,115 @@ class GyroscopeManager {
         }
     }
 
+    // === 錄製與重播 ===
+    startRecording() {
+        this.recorder = new SensorRecorder(this.clock, {
+            config: this.config,
+            platform: this.platform,
+            initialState: { isCalibrated: this.state.isCalibrated, calibration: { ...this.state.calibration } }
+        });
+        this.log('開始錄製感應器資料');
+    }
+
+    // 回傳錄製資料（可交給 downloadSensorSession 匯出）；未在錄製時回傳 null
+    stopRecording() {
+        if (!this.recorder) return null;
+        const session = this.recorder.getSession();
+        this.recorder = null;
+        this.log(`錄製結束，共 ${session.events.length} 筆事件`);
+        return session;
+    }
+
+    isRecording() {
+        return this.recorder !== null;
+    }
+
+    // 以錄製資料驅動管理器，重現同一段操作；speed 為播放倍速，Infinity 會在一次計時器回呼中全部播完
+    // 預設套用錄製時的設定；校正以錄到的原始資料重新計算
+    // 結束後還原設定與重播前的狀態（校正、目前方向與遲滯狀態），重播不會改掉使用者自己的校正
+    // 回傳的 Promise 在播完時為 true，被 stopReplay() 中止時為 false
+    replay(session, { speed = 1, applyRecordedConfig = true } = {}) {
+        if (!(speed > 0)) {
+            throw new Error(`重播倍速必須大於 0: ${speed}`);
+        }
+        this.stopReplay();
+
+        const events = session.events.filter(event => REPLAYED_EVENT_TYPES.includes(event.type));
+        const previousConfig = this.config;
+        const previousState = structuredClone(this.state);
+        if (applyRecordedConfig) {
+            this.config = { ...this.config, ...session.config };
+            this.rebuildSensorFilter();
+        }
+        this.reset();
+        this.state.isCalibrated = session.initialState.isCalibrated;
+        this.setCalibration(session.initialState.calibration);
+        this.state.isActive = true;
+        this.log(`開始重播 ${events.length} 筆事件，倍速 ${speed}`);
+
+        return new Promise((resolve) => {
+            const replayState = { timer: null, finish: null };
+            let index = 0;
+
+            replayState.finish = (completed) => {
+                this.clock.clearTimeout(replayState.timer);
+                this.replayState = null;
+                this.config = previousConfig;
+                this.rebuildSensorFilter();
+                Object.assign(this.state, previousState);
+                this.log(completed ? '重播完成' : '重播已中止');
+                resolve(completed);
+            };
+            this.replayState = replayState;
+
+            // 同一時間點的事件一起送出
+            const step = () => {
+                do {
+                    this.dispatchReplayEvent(events[index]);
+                    index++;
+                } while (index < events.length && (speed === Infinity || events[index].t === events[index - 1].t));
+
+                if (this.replayState !== replayState) return;
+                if (index >= events.length) {
+                    replayState.finish(true);
+                    return;
+                }
+                replayState.timer = this.clock.setTimeout(step, (events[index].t - events[index - 1].t) / speed);
+            };
+
+            if (events.length === 0) {
+                replayState.finish(true);
+            } else {
+                replayState.timer = this.clock.setTimeout(step, events[0].t / speed);
+            }
+        });
+    }
+
+    stopReplay() {
+        this.replayState?.finish(false);
+    }
+
+    isReplaying() {
+        return this.replayState !== null;
+    }
+
+    dispatchReplayEvent(event) {
+        switch (event.type) {
+            case SensorEventType.ORIENTATION:
+                this.processOrientation(event.data, event.t);
+                break;
+            case SensorEventType.MOTION:
+                this.processMotion(event.data);
+                break;
+            case SensorEventType.CALIBRATION_START:
+                this.beginCalibration();
+                break;
+            case SensorEventType.CALIBRATION:
+                this.completeCalibration();
+                break;
+        }
+    }
+
     // === 狀態控制 ===
     pause() {
         this.state.isActive = false;
@@ -693,14 +1042,18 @@ class GyroscopeManager {
         this.state.isCalibrated = false;
         this.state.currentDirection = '靜止';
         this.state.lastDirection = '靜止';
-        this.state.calibration = { alpha: 0, beta: 0, gamma: 0 };
+        this.state.currentLevel = null;
+        this.state.pendingDirection = null;
+        this.setCalibration({ alpha: 0, beta: 0, gamma: 0 });
         this.state.rawHistory = [];
         this.state.calibrationBuffer = [];
     }
 
     destroy() {
-        window.removeEventListener('deviceorientation', this.handleOrientation);
-        window.removeEventListener('devicemotion', this.handleMotion);
+        this.stopReplay();
+        this.env.sensorSource.removeEventListener('deviceorientation', this.handleOrientation);
+        this.env.sensorSource.removeEventListener('devicemotion', this.handleMotion);
+        this.env.document?.removeEventListener('visibilitychange', this.handleVisibilityChange);
         
         if (this.audioContext) {
             this.audioContext.close();
@@ -712,6 +1065,21 @@ class GyroscopeManager {
     // === 配置與回調 ===
     setConfig(newConfig) {
         this.config = { ...this.config, ...newConfig };
+        if (['filter', 'filterOptions', 'smoothingFactor'].some(key => key in newConfig)) {
+            this.rebuildSensorFilter();
+        }
+    }
+
+    setAxisMapping(axisMapping) {
+        const previous = this.config.axisMapping;
+        this.config.axisMapping = axisMapping;
+        try {
+            this.getAxisMapping();
+        } catch (error) {
+            this.config.axisMapping = previous;
+            throw error;
+        }
+        this.log('軸向配置:', axisMapping);
     }
 
     on(event, callback) {
@@ -743,6 +1111,10 @@ class GyroscopeManager {
         return this.state.currentDirection;
     }
 
+    getMovementLevel() {
+        return this.state.currentLevel;
+    }
+
     isCalibrated() {
         return this.state.isCalibrated;
     }
@@ -751,6 +1123,16 @@ class GyroscopeManager {
         return { ...this.state.calibration };
     }
 
+    // 直接指定校正姿勢（尤拉角），例如還原先前儲存的校正結果
+    setCalibration(calibration) {
+        this.setCalibrationQuaternion(quaternionFromEuler(calibration));
+    }
+
+    setCalibrationQuaternion(quaternion) {
+        this.state.calibrationQuaternion = { ...quaternion };
+        this.state.calibration = eulerFromQuaternion(quaternion);
+    }
+
     // === 取得平台和權限資訊 ===
     getPlatform() {
         return this.platform;
@@ -808,4 +1190,4 @@ class GyroscopeManager {
     }
 }
 
-export { GyroscopeManager };
\ No newline at end of file
+export { GyroscopeManager, TiltAxis, AxisMappingPreset, MovementLevel };
\ No newline at end of file
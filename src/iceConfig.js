@@ -0,0 +1,75 @@
+// ICE server configuration helpers.
+// Accepts the legacy single STUN string as well as RTCIceServer lists with TURN credentials,
+// and can load { iceServers, iceTransportPolicy } from a JSON URL or from the page query string.
+const IceTransportPolicy = {
+  ALL: "all",
+  RELAY: "relay", // Only TURN-relayed candidates; useful to test the TURN path
+};
+
+function normalizeIceServer(server) {
+  if (typeof server === "string") {
+    return { urls: server };
+  }
+  if (!server || (typeof server.urls !== "string" && !Array.isArray(server.urls))) {
+    throw new Error(`Invalid ICE server entry: ${JSON.stringify(server)}`);
+  }
+  const normalized = { urls: server.urls };
+  if (server.username !== undefined) normalized.username = server.username;
+  if (server.credential !== undefined) normalized.credential = server.credential;
+  return normalized;
+}
+
+// string | string[] | RTCIceServer[] -> RTCIceServer[]
+function normalizeIceServers(input) {
+  if (!input) return [];
+  const list = Array.isArray(input) ? input : [input];
+  return list.filter((server) => server !== "").map(normalizeIceServer);
+}
+
+// Returns null when no policy is given, so callers can apply their own default
+function normalizeIceTransportPolicy(policy) {
+  if (!policy) return null;
+  if (!Object.values(IceTransportPolicy).includes(policy)) {
+    throw new Error(`Invalid iceTransportPolicy '${policy}', expected 'all' or 'relay'`);
+  }
+  return policy;
+}
+
+function parseIceConfig(json) {
+  const config = typeof json === "string" ? JSON.parse(json) : json;
+  // A bare array is treated as the iceServers list
+  const iceServers = Array.isArray(config) ? config : config.iceServers;
+  return {
+    iceServers: normalizeIceServers(iceServers),
+    iceTransportPolicy: normalizeIceTransportPolicy(Array.isArray(config) ? null : config.iceTransportPolicy),
+  };
+}
+
+async function loadIceConfig(url) {
+  const response = await fetch(url, { cache: "no-store" });
+  if (!response.ok) {
+    throw new Error(`Failed to load ICE config from ${url}: ${response.status} ${response.statusText}`);
+  }
+  return parseIceConfig(await response.json());
+}
+
+// Reads ?iceConfigUrl=<url to JSON> or ?iceServers=<JSON> (plus optional ?iceTransportPolicy=relay).
+// Returns null when the query string carries no ICE configuration.
+async function getIceConfigFromQuery(search) {
+  const params = new URLSearchParams(search);
+  let config = null;
+  if (params.has("iceConfigUrl")) {
+    config = await loadIceConfig(params.get("iceConfigUrl"));
+  } else if (params.has("iceServers")) {
+    config = parseIceConfig(params.get("iceServers"));
+  }
+  if (params.has("iceTransportPolicy")) {
+    config = {
+      iceServers: config?.iceServers ?? null,
+      iceTransportPolicy: normalizeIceTransportPolicy(params.get("iceTransportPolicy")),
+    };
+  }
+  return config;
+}
+
+export { IceTransportPolicy, normalizeIceServers, normalizeIceTransportPolicy, parseIceConfig, loadIceConfig, getIceConfigFromQuery };
@@ -0,0 +1,169 @@
+// 輸入整合：傾斜、觸控搖桿、按鍵（十字鍵 / 鍵盤）與手把都把向量交給 InputManager，
+// 由它依優先順序或混合規則決定輸出，再交給 sendVector，避免多個來源互相搶著送
+// 輸出只在來源更新或放開時交出；去重、限速與靜止時的重送都由 sendVector 端處理（見 MoveSendScheduler）
+//
+// 來源以非零向量視為「使用中」；放開時回報 (0, 0) 或呼叫 release()
+// 持續回報的來源（傾斜）設定 staleAfterMs：超過時間沒有更新（例如感應器暫停）就視為放開；
+// 這類來源使用中時，每 expiryCheckMs 檢查一次是否過期
+const InputArbitration = {
+    PRIORITY: 'priority', // 使用中的來源裡優先順序最高者獨佔；同優先順序時以最後更新者為準
+    BLEND: 'blend' // 使用中的來源依 weight 加總，結果限制在單位圓內
+};
+
+const DEFAULT_INPUT_SOURCES = {
+    touch: { priority: 4, weight: 1 },
+    buttons: { priority: 3, weight: 1 },
+    gamepad: { priority: 2, weight: 1 },
+    tilt: { priority: 1, weight: 0.5, staleAfterMs: 500 }
+};
+
+const DEFAULT_INPUT_OPTIONS = {
+    arbitration: InputArbitration.PRIORITY,
+    expiryCheckMs: 100,
+    sources: DEFAULT_INPUT_SOURCES
+};
+
+const ZERO_VECTOR = Object.freeze({ x: 0, y: 0 });
+
+function isZeroVector(vector) {
+    return vector.x === 0 && vector.y === 0;
+}
+
+class InputManager {
+    // sendVector: ({ x, y }) => void
+    // env: { now, setInterval, clearInterval }，測試時可注入假時鐘
+    constructor(sendVector, options = {}, env = {}) {
+        this.sendVector = sendVector;
+        this.options = { ...DEFAULT_INPUT_OPTIONS, ...options };
+        this.options.sources = { ...DEFAULT_INPUT_SOURCES, ...options.sources };
+        this.env = {
+            now: () => Date.now(),
+            setInterval: (callback, ms) => setInterval(callback, ms),
+            clearInterval: (id) => clearInterval(id),
+            ...env
+        };
+
+        this.inputs = new Map(); // name -> { vector, updatedAt }
+        this.controllingSources = [];
+        this.expiryTimer = null; // 有設定 staleAfterMs 的來源使用中時才執行
+
+        this.callbacks = {
+            onActiveSourceChange: null // (controllingSources: string[]) => {}，空陣列表示沒有輸入
+        };
+
+        this.expireStaleInputs = this.expireStaleInputs.bind(this);
+    }
+
+    update(name, vector) {
+        if (!this.options.sources[name]) {
+            throw new Error(`未知的輸入來源: ${name}`);
+        }
+        if (isZeroVector(vector)) {
+            this.release(name);
+            return;
+        }
+        this.inputs.set(name, { vector: { x: vector.x, y: vector.y }, updatedAt: this.env.now() });
+        this.updateControllingSources();
+        this.updateExpiryTimer();
+        this.sendVector(this.getOutput());
+    }
+
+    release(name) {
+        if (!this.inputs.delete(name)) return;
+        this.updateControllingSources();
+        this.updateExpiryTimer();
+        // 全部放開時為 (0, 0)，明確送出玩具才會停下
+        this.sendVector(this.getOutput());
+    }
+
+    releaseAll() {
+        [...this.inputs.keys()].forEach(name => this.release(name));
+    }
+
+    expireStaleInputs() {
+        const now = this.env.now();
+        for (const [name, input] of [...this.inputs]) {
+            const { staleAfterMs } = this.options.sources[name];
+            if (staleAfterMs !== undefined && now - input.updatedAt > staleAfterMs) {
+                this.release(name);
+            }
+        }
+    }
+
+    getOutput() {
+        if (this.inputs.size === 0) {
+            return { ...ZERO_VECTOR };
+        }
+        if (this.options.arbitration === InputArbitration.BLEND) {
+            let x = 0;
+            let y = 0;
+            for (const [name, input] of this.inputs) {
+                const { weight = 1 } = this.options.sources[name];
+                x += input.vector.x * weight;
+                y += input.vector.y * weight;
+            }
+            const magnitude = Math.hypot(x, y);
+            return magnitude > 1 ? { x: x / magnitude, y: y / magnitude } : { x, y };
+        }
+        return { ...this.inputs.get(this.controllingSources[0]).vector };
+    }
+
+    // 排序：優先順序高者在前，同優先順序時最後更新者在前
+    getActiveSources() {
+        return [...this.inputs.entries()]
+            .sort(([nameA, inputA], [nameB, inputB]) =>
+                this.options.sources[nameB].priority - this.options.sources[nameA].priority ||
+                inputB.updatedAt - inputA.updatedAt)
+            .map(([name]) => name);
+    }
+
+    getControllingSources() {
+        return [...this.controllingSources];
+    }
+
+    updateControllingSources() {
+        const active = this.getActiveSources();
+        const controlling = this.options.arbitration === InputArbitration.BLEND ? active : active.slice(0, 1);
+        if (controlling.join() === this.controllingSources.join()) return;
+        this.controllingSources = controlling;
+        if (this.callbacks.onActiveSourceChange) {
+            this.callbacks.onActiveSourceChange([...controlling]);
+        }
+    }
+
+    setArbitration(arbitration) {
+        if (!Object.values(InputArbitration).includes(arbitration)) {
+            throw new Error(`未知的輸入整合模式: ${arbitration}`);
+        }
+        this.options.arbitration = arbitration;
+        this.updateControllingSources();
+    }
+
+    updateExpiryTimer() {
+        const hasExpiringInput = [...this.inputs.keys()].some(name => this.options.sources[name].staleAfterMs !== undefined);
+        if (hasExpiringInput && this.expiryTimer === null) {
+            this.expiryTimer = this.env.setInterval(this.expireStaleInputs, this.options.expiryCheckMs);
+        } else if (!hasExpiringInput && this.expiryTimer !== null) {
+            this.env.clearInterval(this.expiryTimer);
+            this.expiryTimer = null;
+        }
+    }
+
+    destroy() {
+        if (this.expiryTimer !== null) {
+            this.env.clearInterval(this.expiryTimer);
+            this.expiryTimer = null;
+        }
+        this.inputs.clear();
+        this.controllingSources = [];
+    }
+
+    on(event, callback) {
+        const key = `on${event.charAt(0).toUpperCase() + event.slice(1)}`;
+        if (this.callbacks.hasOwnProperty(key)) {
+            this.callbacks[key] = callback;
+        }
+    }
+}
+
+export { InputManager, InputArbitration, DEFAULT_INPUT_SOURCES };
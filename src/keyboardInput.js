@@ -0,0 +1,175 @@
+// 鍵盤操作（桌機）：WASD / 方向鍵對應到 { up, down, left, right } 的按住狀態，可同時按住兩鍵走斜線
+// 狀態由鍵盤自己持有（getPressed()），與十字鍵的狀態分開，由使用端合併後轉成向量
+// 綁定使用 KeyboardEvent.code（實體按鍵位置），不受輸入法與鍵盤配置影響
+const DEFAULT_KEY_BINDINGS = {
+    move: {
+        up: ['KeyW', 'ArrowUp'],
+        down: ['KeyS', 'ArrowDown'],
+        left: ['KeyA', 'ArrowLeft'],
+        right: ['KeyD', 'ArrowRight']
+    },
+    // 按鍵 -> 動作名稱（與手把的動作名稱一致）
+    actions: {
+        Space: 'a',
+        KeyJ: 'a',
+        KeyK: 'b',
+        KeyU: 'x',
+        KeyI: 'y',
+        Enter: 'start'
+    }
+};
+
+// 焦點在輸入框時（例如輸入 Peer ID）不攔截按鍵
+function isTypingTarget(target) {
+    if (!target) return false;
+    const tagName = target.tagName;
+    return target.isContentEditable || tagName === 'INPUT' || tagName === 'TEXTAREA' || tagName === 'SELECT';
+}
+
+class KeyboardInput {
+    // options.bindings: { move, actions }，未提供的部分使用預設綁定
+    constructor(options = {}, env = {}) {
+        this.env = { eventTarget: globalThis.window, document: globalThis.document, ...env };
+
+        this.heldKeys = new Set(); // 目前按住且有綁定的 code
+        this.pressed = { up: false, down: false, left: false, right: false }; // 鍵盤按住的方向
+        this.isStarted = false;
+
+        this.callbacks = {
+            onChange: null, // (pressed) => {}，鍵盤按住的方向改變時
+            onAction: null // (name, pressed) => {}
+        };
+
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+        this.handleKeyUp = this.handleKeyUp.bind(this);
+        this.releaseAll = this.releaseAll.bind(this);
+        this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
+
+        this.setBindings(options.bindings);
+    }
+
+    setBindings(bindings = {}) {
+        this.releaseAll();
+        this.bindings = {
+            move: { ...DEFAULT_KEY_BINDINGS.move, ...bindings.move },
+            actions: { ...DEFAULT_KEY_BINDINGS.actions, ...bindings.actions }
+        };
+        // code -> 方向
+        this.directionByCode = new Map();
+        for (const [direction, codes] of Object.entries(this.bindings.move)) {
+            codes.forEach(code => this.directionByCode.set(code, direction));
+        }
+    }
+
+    start() {
+        if (this.isStarted) return;
+        this.isStarted = true;
+        this.env.eventTarget.addEventListener('keydown', this.handleKeyDown);
+        this.env.eventTarget.addEventListener('keyup', this.handleKeyUp);
+        // 失焦時收不到 keyup，必須全部放開，否則玩具會一直往同一方向走
+        this.env.eventTarget.addEventListener('blur', this.releaseAll);
+        this.env.document?.addEventListener('visibilitychange', this.handleVisibilityChange);
+    }
+
+    stop() {
+        if (!this.isStarted) return;
+        this.isStarted = false;
+        this.env.eventTarget.removeEventListener('keydown', this.handleKeyDown);
+        this.env.eventTarget.removeEventListener('keyup', this.handleKeyUp);
+        this.env.eventTarget.removeEventListener('blur', this.releaseAll);
+        this.env.document?.removeEventListener('visibilitychange', this.handleVisibilityChange);
+        this.releaseAll();
+    }
+
+    handleKeyDown(event) {
+        if (isTypingTarget(event.target) || event.ctrlKey || event.metaKey || event.altKey) return;
+        const { code } = event;
+        const isMoveKey = this.directionByCode.has(code);
+        const action = this.bindings.actions[code];
+        if (!isMoveKey && !action) return;
+
+        event.preventDefault(); // 方向鍵與空白鍵預設會捲動頁面
+        if (event.repeat || this.heldKeys.has(code)) return; // 按住時的自動重複
+        this.heldKeys.add(code);
+
+        if (isMoveKey) {
+            this.updatePressed();
+        }
+        if (action) {
+            this.emitAction(action, true);
+        }
+    }
+
+    handleKeyUp(event) {
+        const { code } = event;
+        if (!this.heldKeys.delete(code)) return;
+
+        if (this.directionByCode.has(code)) {
+            this.updatePressed();
+        }
+        const action = this.bindings.actions[code];
+        if (action) {
+            this.emitAction(action, false);
+        }
+    }
+
+    handleVisibilityChange() {
+        if (this.env.document.hidden) {
+            this.releaseAll();
+        }
+    }
+
+    releaseAll() {
+        if (this.heldKeys.size === 0) return;
+        const released = [...this.heldKeys];
+        this.heldKeys.clear();
+        this.updatePressed();
+        released.forEach(code => {
+            const action = this.bindings.actions[code];
+            if (action) {
+                this.emitAction(action, false);
+            }
+        });
+    }
+
+    // 同一方向綁了多個鍵（W 與 ↑）時，全部放開才算放開
+    updatePressed() {
+        const held = { up: false, down: false, left: false, right: false };
+        for (const code of this.heldKeys) {
+            const direction = this.directionByCode.get(code);
+            if (direction) {
+                held[direction] = true;
+            }
+        }
+
+        const changed = Object.keys(held).some(direction => this.pressed[direction] !== held[direction]);
+        this.pressed = held;
+
+        if (changed && this.callbacks.onChange) {
+            this.callbacks.onChange(this.getPressed());
+        }
+    }
+
+    getPressed() {
+        return { ...this.pressed };
+    }
+
+    emitAction(name, pressed) {
+        if (this.callbacks.onAction) {
+            this.callbacks.onAction(name, pressed);
+        }
+    }
+
+    isAnyKeyHeld() {
+        return this.heldKeys.size > 0;
+    }
+
+    on(event, callback) {
+        const key = `on${event.charAt(0).toUpperCase() + event.slice(1)}`;
+        if (this.callbacks.hasOwnProperty(key)) {
+            this.callbacks[key] = callback;
+        }
+    }
+}
+
+export { KeyboardInput, DEFAULT_KEY_BINDINGS };
@@ -0,0 +1,53 @@
+// Compact binary frame for high-rate move vectors (negotiated as the 'binary' encoding).
+// Layout, little-endian, 12 bytes:
+//   0  uint8   message id (MOVE_FRAME_ID)
+//   1  uint8   protocol version
+//   2  uint16  sequence number (wraps at 65536)
+//   4  uint32  sender timestamp in ms (wraps at 2^32)
+//   8  int16   x quantized to [-32767, 32767]
+//  10  int16   y quantized to [-32767, 32767]
+
+const MOVE_FRAME_ID = 0x01;
+const MOVE_FRAME_BYTE_LENGTH = 12;
+const AXIS_SCALE = 32767;
+const SEQUENCE_MODULO = 0x10000;
+
+const quantizeAxis = (value) => Math.round(Math.max(-1, Math.min(1, value)) * AXIS_SCALE);
+const dequantizeAxis = (value) => value / AXIS_SCALE;
+
+function isBinaryFrame(data) {
+  return data instanceof ArrayBuffer || ArrayBuffer.isView(data);
+}
+
+function encodeMoveFrame({ x, y, seq, t }, version) {
+  const buffer = new ArrayBuffer(MOVE_FRAME_BYTE_LENGTH);
+  const view = new DataView(buffer);
+  view.setUint8(0, MOVE_FRAME_ID);
+  view.setUint8(1, version);
+  view.setUint16(2, seq % SEQUENCE_MODULO, true);
+  view.setUint32(4, t >>> 0, true);
+  view.setInt16(8, quantizeAxis(x), true);
+  view.setInt16(10, quantizeAxis(y), true);
+  return buffer;
+}
+
+// Throws a plain Error for malformed frames; ControlProtocol wraps it into a ControlProtocolError.
+function decodeMoveFrame(data) {
+  const view = ArrayBuffer.isView(data) ? new DataView(data.buffer, data.byteOffset, data.byteLength) : new DataView(data);
+  if (view.byteLength !== MOVE_FRAME_BYTE_LENGTH) {
+    throw new Error(`Binary frame must be ${MOVE_FRAME_BYTE_LENGTH} bytes, got ${view.byteLength}`);
+  }
+  const id = view.getUint8(0);
+  if (id !== MOVE_FRAME_ID) {
+    throw new Error(`Unknown binary frame id 0x${id.toString(16)}`);
+  }
+  return {
+    version: view.getUint8(1),
+    seq: view.getUint16(2, true),
+    t: view.getUint32(4, true),
+    x: dequantizeAxis(view.getInt16(8, true)),
+    y: dequantizeAxis(view.getInt16(10, true)),
+  };
+}
+
+export { MOVE_FRAME_ID, MOVE_FRAME_BYTE_LENGTH, SEQUENCE_MODULO, isBinaryFrame, encodeMoveFrame, decodeMoveFrame };
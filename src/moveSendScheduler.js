@@ -0,0 +1,136 @@
+// 移動向量送出排程：輸入端可以每個感應器事件都呼叫 update()，實際送出則
+//   - 有明顯變化（任一軸超過 changeThreshold）時立即送出，但不超過 maxRateHz，期間的更新合併為最新的一筆
+//   - 沒有變化時每 keepaliveMs 重送一次目前向量，即時通道掉封包時 Unity 端仍能收到最新狀態
+//   - 回到 (0, 0) 時一定立即送出，並在之後的 keepalive 週期再補送 zeroRepeats 次（即時通道不重傳），確保玩具停下
+const DEFAULT_SCHEDULER_OPTIONS = {
+    maxRateHz: 30,
+    changeThreshold: 0.02,
+    keepaliveMs: 250,
+    zeroRepeats: 2
+};
+
+const ZERO_VECTOR = Object.freeze({ x: 0, y: 0 });
+
+function isZeroVector(vector) {
+    return vector.x === 0 && vector.y === 0;
+}
+
+class MoveSendScheduler {
+    // send: ({ x, y }) => void
+    // env: { now, setTimeout, clearTimeout }，測試時可注入假時鐘
+    constructor(send, options = {}, env = {}) {
+        this.send = send;
+        this.options = { ...DEFAULT_SCHEDULER_OPTIONS, ...options };
+        this.env = {
+            now: () => Date.now(),
+            setTimeout: (callback, ms) => setTimeout(callback, ms),
+            clearTimeout: (id) => clearTimeout(id),
+            ...env
+        };
+
+        this.pending = { ...ZERO_VECTOR }; // 最新一筆輸入
+        this.lastSent = { ...ZERO_VECTOR };
+        this.lastSentAt = -Infinity;
+        this.zeroRepeatsLeft = 0;
+        this.flushTimer = null; // 限速期間延後送出
+        this.keepaliveTimer = null;
+
+        this.stats = { updates: 0, sent: 0, keepalives: 0 };
+
+        this.flush = this.flush.bind(this);
+        this.sendKeepalive = this.sendKeepalive.bind(this);
+    }
+
+    update(vector) {
+        this.stats.updates++;
+        this.pending = { x: vector.x, y: vector.y };
+
+        if (isZeroVector(this.pending)) {
+            if (!isZeroVector(this.lastSent)) {
+                this.sendNow(); // 放開時不受限速影響
+            }
+            return;
+        }
+        if (!this.hasMeaningfulChange()) return; // 細微變化交給 keepalive 帶出去
+        if (this.flushTimer !== null) return; // 已排定送出，屆時會送最新的一筆
+
+        const wait = this.lastSentAt + this.getMinIntervalMs() - this.env.now();
+        if (wait <= 0) {
+            this.sendNow();
+        } else {
+            this.flushTimer = this.env.setTimeout(this.flush, wait);
+        }
+    }
+
+    // 放開或暫停：立即送出歸零
+    release() {
+        this.update(ZERO_VECTOR);
+    }
+
+    hasMeaningfulChange() {
+        const { changeThreshold } = this.options;
+        return Math.abs(this.pending.x - this.lastSent.x) > changeThreshold ||
+            Math.abs(this.pending.y - this.lastSent.y) > changeThreshold;
+    }
+
+    getMinIntervalMs() {
+        return 1000 / this.options.maxRateHz;
+    }
+
+    flush() {
+        this.flushTimer = null;
+        if (isZeroVector(this.pending) && isZeroVector(this.lastSent)) return;
+        this.sendNow();
+    }
+
+    sendNow() {
+        this.env.clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+        this.zeroRepeatsLeft = isZeroVector(this.pending) ? this.options.zeroRepeats : 0;
+        this.transmit(this.pending);
+    }
+
+    transmit(vector) {
+        this.lastSent = { x: vector.x, y: vector.y };
+        this.lastSentAt = this.env.now();
+        this.stats.sent++;
+        this.send({ ...this.lastSent });
+        this.scheduleKeepalive();
+    }
+
+    scheduleKeepalive() {
+        this.env.clearTimeout(this.keepaliveTimer);
+        this.keepaliveTimer = null;
+        if (isZeroVector(this.lastSent) && this.zeroRepeatsLeft === 0) return;
+        this.keepaliveTimer = this.env.setTimeout(this.sendKeepalive, this.options.keepaliveMs);
+    }
+
+    // 非零時重送最新輸入（包含未達門檻的細微變化）；歸零後補送剩餘次數
+    sendKeepalive() {
+        this.keepaliveTimer = null;
+        this.stats.keepalives++;
+        if (isZeroVector(this.lastSent)) {
+            this.zeroRepeatsLeft--;
+            this.transmit(ZERO_VECTOR);
+            return;
+        }
+        this.sendNow();
+    }
+
+    setOptions(newOptions) {
+        this.options = { ...this.options, ...newOptions };
+    }
+
+    getStats() {
+        return { ...this.stats };
+    }
+
+    destroy() {
+        this.env.clearTimeout(this.flushTimer);
+        this.env.clearTimeout(this.keepaliveTimer);
+        this.flushTimer = null;
+        this.keepaliveTimer = null;
+    }
+}
+
+export { MoveSendScheduler, DEFAULT_SCHEDULER_OPTIONS };
@@ -0,0 +1,161 @@
+// 方向數學：把 DeviceOrientationEvent 的尤拉角轉成四元數 { w, x, y, z } 再運算。
+// 尤拉角在 alpha 跨過 0 / 360、beta 接近 ±90° 時會跳值，直接平滑或相減會暴衝；
+// 四元數在任何姿勢下都連續，平滑、平均與「相對校正姿勢的旋轉」都在四元數上做，最後才轉回角度。
+//
+// 座標系依 W3C 規範：手機本體 x 往右、y 往手機上緣、z 垂直螢幕朝外；
+// 姿勢 = Rz(alpha) · Rx(beta) · Ry(gamma)（內旋 Z-X'-Y''）
+
+const DEG_TO_RAD = Math.PI / 180;
+const RAD_TO_DEG = 180 / Math.PI;
+
+const IDENTITY_QUATERNION = Object.freeze({ w: 1, x: 0, y: 0, z: 0 });
+
+function quaternionFromEuler({ alpha, beta, gamma }) {
+    const halfX = beta * DEG_TO_RAD / 2;
+    const halfY = gamma * DEG_TO_RAD / 2;
+    const halfZ = alpha * DEG_TO_RAD / 2;
+    const cX = Math.cos(halfX), sX = Math.sin(halfX);
+    const cY = Math.cos(halfY), sY = Math.sin(halfY);
+    const cZ = Math.cos(halfZ), sZ = Math.sin(halfZ);
+    return {
+        w: cX * cY * cZ - sX * sY * sZ,
+        x: sX * cY * cZ - cX * sY * sZ,
+        y: cX * sY * cZ + sX * cY * sZ,
+        z: cX * cY * sZ + sX * sY * cZ
+    };
+}
+
+// 轉回 W3C 範圍的尤拉角：alpha [0, 360)、beta [-180, 180)、gamma [-90, 90)
+function eulerFromQuaternion(q) {
+    const { w, x, y, z } = normalizeQuaternion(q);
+    // 旋轉矩陣中用到的元素（m[列][行]）
+    const m12 = 2 * (x * y - w * z);
+    const m22 = 1 - 2 * (x * x + z * z);
+    const m31 = 2 * (x * z - w * y);
+    const m32 = 2 * (y * z + w * x);
+    const m33 = 1 - 2 * (x * x + y * y);
+
+    let beta = Math.asin(Math.max(-1, Math.min(1, m32))) * RAD_TO_DEG;
+    let alpha;
+    let gamma;
+    if (Math.abs(m32) < 0.9999999) {
+        alpha = Math.atan2(-m12, m22) * RAD_TO_DEG;
+        gamma = Math.atan2(-m31, m33) * RAD_TO_DEG;
+    } else {
+        // 螢幕垂直地面（beta = ±90°）時 alpha 與 gamma 無法區分，全部算進 alpha
+        const m21 = 2 * (x * y + w * z);
+        const m11 = 1 - 2 * (y * y + z * z);
+        alpha = Math.atan2(m21, m11) * RAD_TO_DEG;
+        gamma = 0;
+    }
+
+    // 上面的解 beta 落在 [-90, 90]；gamma 超出 ±90° 時換成等價的另一組解
+    if (gamma >= 90 || gamma < -90) {
+        alpha += 180;
+        beta = (beta >= 0 ? 180 : -180) - beta;
+        gamma += gamma >= 90 ? -180 : 180;
+    }
+    return {
+        alpha: wrapDegrees(alpha, 0),
+        beta: wrapDegrees(beta, -180),
+        gamma
+    };
+}
+
+// 把角度包進 [min, min + 360)
+function wrapDegrees(angle, min) {
+    return ((angle - min) % 360 + 360) % 360 + min;
+}
+
+function normalizeQuaternion(q) {
+    const length = Math.hypot(q.w, q.x, q.y, q.z);
+    if (length === 0) return { ...IDENTITY_QUATERNION };
+    return { w: q.w / length, x: q.x / length, y: q.y / length, z: q.z / length };
+}
+
+function conjugateQuaternion(q) {
+    return { w: q.w, x: -q.x, y: -q.y, z: -q.z };
+}
+
+function multiplyQuaternions(a, b) {
+    return {
+        w: a.w * b.w - a.x * b.x - a.y * b.y - a.z * b.z,
+        x: a.w * b.x + a.x * b.w + a.y * b.z - a.z * b.y,
+        y: a.w * b.y - a.x * b.z + a.y * b.w + a.z * b.x,
+        z: a.w * b.z + a.x * b.y - a.y * b.x + a.z * b.w
+    };
+}
+
+function dotQuaternions(a, b) {
+    return a.w * b.w + a.x * b.x + a.y * b.y + a.z * b.z;
+}
+
+// q 與 -q 代表同一個旋轉；逐分量運算（平滑、平均）前先翻到與 reference 同一側
+function alignQuaternion(q, reference) {
+    if (dotQuaternions(q, reference) >= 0) return { ...q };
+    return { w: -q.w, x: -q.x, y: -q.y, z: -q.z };
+}
+
+// 從 from 往 to 內插 t（0 ~ 1），走最短路徑；t 小時即為指數平滑
+function nlerpQuaternion(from, to, t) {
+    const target = alignQuaternion(to, from);
+    return normalizeQuaternion({
+        w: from.w + (target.w - from.w) * t,
+        x: from.x + (target.x - from.x) * t,
+        y: from.y + (target.y - from.y) * t,
+        z: from.z + (target.z - from.z) * t
+    });
+}
+
+// 姿勢彼此接近時（例如校正期間的樣本）的平均
+function averageQuaternions(quaternions) {
+    if (quaternions.length === 0) return { ...IDENTITY_QUATERNION };
+    const reference = quaternions[0];
+    const sum = { w: 0, x: 0, y: 0, z: 0 };
+    for (const q of quaternions) {
+        const aligned = alignQuaternion(q, reference);
+        sum.w += aligned.w;
+        sum.x += aligned.x;
+        sum.y += aligned.y;
+        sum.z += aligned.z;
+    }
+    return normalizeQuaternion(sum);
+}
+
+// 以 reference 為基準（在 reference 的手機座標下）從 reference 轉到 current 的旋轉
+function relativeRotation(reference, current) {
+    return multiplyQuaternions(conjugateQuaternion(reference), current);
+}
+
+// 旋轉向量（軸 × 角度，單位：度）；x / y / z 分量約等於繞手機 x（pitch）/ y（roll）/ z（yaw）轉的角度
+// 取最短旋轉，總角度在 180° 以內都是連續的
+function rotationVectorFromQuaternion(q) {
+    const { w, x, y, z } = alignQuaternion(normalizeQuaternion(q), IDENTITY_QUATERNION);
+    const sinHalfAngle = Math.hypot(x, y, z);
+    if (sinHalfAngle < 1e-9) {
+        return { x: 2 * x * RAD_TO_DEG, y: 2 * y * RAD_TO_DEG, z: 2 * z * RAD_TO_DEG };
+    }
+    const scale = 2 * Math.atan2(sinHalfAngle, w) / sinHalfAngle * RAD_TO_DEG;
+    return { x: x * scale, y: y * scale, z: z * scale };
+}
+
+// 兩個姿勢之間的夾角（度）
+function quaternionAngle(a, b) {
+    const dot = Math.abs(dotQuaternions(normalizeQuaternion(a), normalizeQuaternion(b)));
+    return 2 * Math.acos(Math.min(1, dot)) * RAD_TO_DEG;
+}
+
+export {
+    IDENTITY_QUATERNION,
+    quaternionFromEuler,
+    eulerFromQuaternion,
+    normalizeQuaternion,
+    conjugateQuaternion,
+    multiplyQuaternions,
+    alignQuaternion,
+    nlerpQuaternion,
+    averageQuaternions,
+    relativeRotation,
+    rotationVectorFromQuaternion,
+    quaternionAngle
+};
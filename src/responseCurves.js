@@ -0,0 +1,67 @@
+// 傾斜 → 輸出的反應曲線：每個軸各自設定靈敏度、反向、內側死區與曲線
+// 曲線作用在量值（0 ~ 1）上，正負號保留；中心附近想要細微控制、邊緣想要快速反應時使用非線性曲線
+//   linear       輸出 = 輸入
+//   exponential  輸出 = 輸入 ^ exponent，exponent > 1 時中心較鈍、邊緣較快
+//   sCurve       中心與邊緣都較平緩、中段較陡；strength 越大越明顯
+//   points       自訂點表 [[輸入, 輸出], ...]，點之間線性內插，缺少的 (0, 0) / (1, 1) 端點會自動補上
+const ResponseCurveType = {
+    LINEAR: 'linear',
+    EXPONENTIAL: 'exponential',
+    S_CURVE: 'sCurve',
+    POINTS: 'points'
+};
+
+const DEFAULT_AXIS_RESPONSE = {
+    sensitivity: 1, // 傾斜量先乘上此倍率，> 1 時不用傾到 maxThreshold 就能到最大值
+    invert: false,
+    innerDeadZone: 0, // 佔滿量程的比例，內側輸出 0，外側重新映射到 [0, 1]
+    curve: { type: ResponseCurveType.LINEAR }
+};
+
+function applyResponseCurve(magnitude, curve = DEFAULT_AXIS_RESPONSE.curve) {
+    switch (curve.type) {
+        case ResponseCurveType.LINEAR:
+            return magnitude;
+        case ResponseCurveType.EXPONENTIAL:
+            return magnitude ** (curve.exponent ?? 2);
+        case ResponseCurveType.S_CURVE: {
+            const strength = curve.strength ?? 2;
+            const rising = magnitude ** strength;
+            return rising / (rising + (1 - magnitude) ** strength);
+        }
+        case ResponseCurveType.POINTS:
+            return interpolatePoints(magnitude, curve.points ?? []);
+        default:
+            throw new Error(`未知的反應曲線: ${curve.type}`);
+    }
+}
+
+function interpolatePoints(magnitude, points) {
+    const sorted = [...points].sort((a, b) => a[0] - b[0]);
+    if (sorted.length === 0 || sorted[0][0] > 0) sorted.unshift([0, 0]);
+    if (sorted[sorted.length - 1][0] < 1) sorted.push([1, 1]);
+
+    for (let i = 1; i < sorted.length; i++) {
+        const [x0, y0] = sorted[i - 1];
+        const [x1, y1] = sorted[i];
+        if (magnitude <= x1) {
+            return x1 === x0 ? y1 : y0 + (y1 - y0) * (magnitude - x0) / (x1 - x0);
+        }
+    }
+    return sorted[sorted.length - 1][1];
+}
+
+// value 為已除以最大角度的傾斜量（約 -1 ~ 1）；回傳套用靈敏度、死區、曲線與反向後的 [-1, 1]
+function shapeAxis(value, response = {}) {
+    const { sensitivity, invert, innerDeadZone, curve } = { ...DEFAULT_AXIS_RESPONSE, ...response };
+    const scaled = Math.max(-1, Math.min(1, value * sensitivity));
+    const magnitude = Math.abs(scaled);
+    if (magnitude <= innerDeadZone) return 0;
+
+    const rescaled = innerDeadZone >= 1 ? 1 : (magnitude - innerDeadZone) / (1 - innerDeadZone);
+    const shaped = Math.max(0, Math.min(1, applyResponseCurve(rescaled, curve)));
+    const sign = Math.sign(scaled) * (invert ? -1 : 1);
+    return shaped === 0 ? 0 : sign * shaped; // 避免 -0
+}
+
+export { ResponseCurveType, DEFAULT_AXIS_RESPONSE, applyResponseCurve, shapeAxis };
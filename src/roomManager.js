@@ -1,14 +1,71 @@
-window.addEventListener("DOMContentLoaded", () => {
-    const params = new URLSearchParams(window.location.search);
+// 房間流程：玩家掃描 QR code 進入 ?roomId=...&unityPeerId=... 後自動連線並鎖定 Unity 主機
+const RoomStatus = {
+    IDLE: 'idle',
+    CONNECTING: 'connecting',
+    WAITING_FOR_HOST: 'waitingForHost',
+    HOST_CONNECTED: 'hostConnected',
+    HOST_LOST: 'hostLost',
+    HOST_INCOMPATIBLE: 'hostIncompatible',
+    DISCONNECTED: 'disconnected'
+};
+
+const roomStatusText = {
+    [RoomStatus.IDLE]: '尚未加入房間',
+    [RoomStatus.CONNECTING]: '正在連線到伺服器...',
+    [RoomStatus.WAITING_FOR_HOST]: '已加入房間，等待遊戲主機...',
+    [RoomStatus.HOST_CONNECTED]: '已連線到遊戲主機',
+    [RoomStatus.HOST_LOST]: '與遊戲主機的連線中斷',
+    [RoomStatus.HOST_INCOMPATIBLE]: '遊戲主機版本不相容，無法操作',
+    [RoomStatus.DISCONNECTED]: '已離開房間'
+};
+
+function getRoomParams(search = window.location.search) {
+    const params = new URLSearchParams(search);
     const roomId = params.get("roomId");
     const unityPeerId = params.get("unityPeerId");
 
-    if (roomId && unityPeerId) {
-        console.log("Room ID:", roomId);
-        console.log("Unity Peer ID:", unityPeerId);
-        // 可以呼叫 webRTCManager.init(unityPeerId) 或其他初始化流程
-        //document.getElementById("roomInfo").textContent = `你正在加入房間 ${roomId}`;
-    } else {
-        console.warn("URL 缺少必要參數");
+    if (!roomId || !unityPeerId) {
+        return null;
+    }
+    return { roomId, unityPeerId };
+}
+
+class RoomManager {
+    constructor(roomInfoElement, params = getRoomParams()) {
+        this.roomInfoElement = roomInfoElement;
+        this.roomId = params?.roomId ?? null;
+        this.unityPeerId = params?.unityPeerId ?? null;
+        this.status = RoomStatus.IDLE;
+
+        if (this.hasRoom()) {
+            console.log("Room ID:", this.roomId);
+            console.log("Unity Peer ID:", this.unityPeerId);
+            this.roomInfoElement?.classList.remove('hidden');
+        } else {
+            console.warn("URL 缺少必要參數，改用手動連線");
+        }
+        this.render();
+    }
+
+    hasRoom() {
+        return this.roomId !== null;
     }
-});
\ No newline at end of file
+
+    isHost(peerId) {
+        return this.hasRoom() && peerId === this.unityPeerId;
+    }
+
+    setStatus(status) {
+        if (this.status === status) return;
+        this.status = status;
+        this.render();
+    }
+
+    render() {
+        if (!this.roomInfoElement || !this.hasRoom()) return;
+        this.roomInfoElement.textContent = `房間 ${this.roomId}：${roomStatusText[this.status]}`;
+        this.roomInfoElement.dataset.status = this.status;
+    }
+}
+
+export { RoomManager, RoomStatus, getRoomParams };
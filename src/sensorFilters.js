@@ -0,0 +1,159 @@
+// 感應器平滑濾波：每個濾波器逐通道處理一組數值（GyroscopeManager 傳入姿勢四元數的 w / x / y / z 分量）
+//   ema     指數移動平均，固定的 smoothingFactor；小值延遲大、大值抖動多
+//   oneEuro One Euro filter：靜止時截止頻率低（去抖動），移動越快截止頻率越高（降低延遲）
+//   median  移動中位數：去除單筆的突波，通常串在其他濾波器前面
+// 濾波器可串接，例如 ['median', 'oneEuro']，依序處理
+const SensorFilterType = {
+    EMA: 'ema',
+    ONE_EURO: 'oneEuro',
+    MEDIAN: 'median'
+};
+
+// 參數的單位以四元數分量為準：手機每秒轉 90° 時分量的變化速度約為 0.8 / 秒
+const DEFAULT_FILTER_OPTIONS = {
+    [SensorFilterType.EMA]: {
+        smoothingFactor: 0.3 // 每筆往新值靠近的比例（0 ~ 1）
+    },
+    [SensorFilterType.ONE_EURO]: {
+        minCutoff: 1.0, // 靜止時的截止頻率（Hz），越小越平穩
+        beta: 3, // 速度對截止頻率的影響，越大移動時延遲越小（突波也越容易通過）
+        derivativeCutoff: 1.0 // 速度估計本身的截止頻率（Hz）
+    },
+    [SensorFilterType.MEDIAN]: {
+        windowSize: 5 // 取最近幾筆的中位數，奇數較佳
+    }
+};
+
+class EmaFilter {
+    constructor({ smoothingFactor }) {
+        this.smoothingFactor = smoothingFactor;
+        this.reset();
+    }
+
+    reset() {
+        this.output = null;
+    }
+
+    filter(values) {
+        if (this.output === null) {
+            this.output = [...values];
+        } else {
+            const factor = this.smoothingFactor;
+            this.output = values.map((value, i) => this.output[i] * (1 - factor) + value * factor);
+        }
+        return [...this.output];
+    }
+}
+
+class OneEuroFilter {
+    constructor({ minCutoff, beta, derivativeCutoff }) {
+        this.minCutoff = minCutoff;
+        this.beta = beta;
+        this.derivativeCutoff = derivativeCutoff;
+        this.reset();
+    }
+
+    reset() {
+        this.output = null;
+        this.derivative = null;
+        this.lastTimestamp = null;
+    }
+
+    // 一階低通濾波在取樣間隔 dt（秒）下的平滑係數
+    static smoothingFactor(cutoff, dt) {
+        const tau = 1 / (2 * Math.PI * cutoff);
+        return 1 / (1 + tau / dt);
+    }
+
+    // timestamp 為毫秒；時間沒有前進（同一時間點的重複事件）時維持上一筆輸出
+    filter(values, timestamp) {
+        if (this.output === null) {
+            this.output = [...values];
+            this.derivative = values.map(() => 0);
+            this.lastTimestamp = timestamp;
+            return [...this.output];
+        }
+        const dt = (timestamp - this.lastTimestamp) / 1000;
+        if (!(dt > 0)) {
+            return [...this.output];
+        }
+        this.lastTimestamp = timestamp;
+
+        const derivativeFactor = OneEuroFilter.smoothingFactor(this.derivativeCutoff, dt);
+        this.output = values.map((value, i) => {
+            const rawDerivative = (value - this.output[i]) / dt;
+            this.derivative[i] += (rawDerivative - this.derivative[i]) * derivativeFactor;
+            const cutoff = this.minCutoff + this.beta * Math.abs(this.derivative[i]);
+            return this.output[i] + (value - this.output[i]) * OneEuroFilter.smoothingFactor(cutoff, dt);
+        });
+        return [...this.output];
+    }
+}
+
+class MovingMedianFilter {
+    constructor({ windowSize }) {
+        this.windowSize = Math.max(1, Math.floor(windowSize));
+        this.reset();
+    }
+
+    reset() {
+        this.history = [];
+    }
+
+    filter(values) {
+        this.history.push([...values]);
+        if (this.history.length > this.windowSize) {
+            this.history.shift();
+        }
+        return values.map((_, i) => median(this.history.map(sample => sample[i])));
+    }
+}
+
+function median(numbers) {
+    const sorted = [...numbers].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+const FILTER_CLASSES = {
+    [SensorFilterType.EMA]: EmaFilter,
+    [SensorFilterType.ONE_EURO]: OneEuroFilter,
+    [SensorFilterType.MEDIAN]: MovingMedianFilter
+};
+
+// 依序套用多個濾波器
+class SensorFilterChain {
+    constructor(filters) {
+        this.filters = filters;
+    }
+
+    reset() {
+        this.filters.forEach(filter => filter.reset());
+    }
+
+    filter(values, timestamp) {
+        return this.filters.reduce((current, filter) => filter.filter(current, timestamp), values);
+    }
+}
+
+// types: 濾波器名稱或名稱陣列；options: { [名稱]: 參數 }，未提供的參數使用預設值
+function createSensorFilter(types, options = {}) {
+    const typeList = Array.isArray(types) ? types : [types];
+    const filters = typeList.map(type => {
+        const FilterClass = FILTER_CLASSES[type];
+        if (!FilterClass) {
+            throw new Error(`未知的濾波器: ${type}`);
+        }
+        return new FilterClass({ ...DEFAULT_FILTER_OPTIONS[type], ...options[type] });
+    });
+    return new SensorFilterChain(filters);
+}
+
+export {
+    SensorFilterType,
+    DEFAULT_FILTER_OPTIONS,
+    EmaFilter,
+    OneEuroFilter,
+    MovingMedianFilter,
+    createSensorFilter
+};
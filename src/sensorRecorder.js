@@ -0,0 +1,124 @@
+// 感應器錄製：記錄 handleOrientation/handleMotion 收到的原始事件（含時間戳），以及輸出的方向、座標與校正結果，
+// 匯出成 JSON 檔，之後可用 GyroscopeManager.replay() 以原速或加速重現同一段操作。
+//
+// 檔案格式：
+// {
+//   format: 'toy-sensor-session', version: 1, recordedAt: ISO 字串, platform,
+//   config: 錄製時的 GyroscopeManager 設定,
+//   initialState: { isCalibrated, calibration },
+//   events: [{ t: 相對於開始的毫秒, type, data }]
+// }
+// orientation 事件的 data 為 { alpha, beta, gamma, screenAngle }，舊檔沒有 screenAngle 時以當下的畫面角度重播
+// type: 'orientation' | 'motion' 為輸入；'calibrationStart' 為呼叫 calibrate()；'calibration' | 'direction' | 'coordinate' 為輸出
+
+const SENSOR_SESSION_FORMAT = 'toy-sensor-session';
+const SENSOR_SESSION_VERSION = 1;
+
+const SensorEventType = {
+    ORIENTATION: 'orientation',
+    MOTION: 'motion',
+    CALIBRATION_START: 'calibrationStart',
+    CALIBRATION: 'calibration',
+    DIRECTION: 'direction',
+    COORDINATE: 'coordinate'
+};
+
+// 重播時會送回 GyroscopeManager 的事件；其餘為輸出，只用於比對
+const REPLAYED_EVENT_TYPES = [SensorEventType.ORIENTATION, SensorEventType.MOTION, SensorEventType.CALIBRATION_START, SensorEventType.CALIBRATION];
+
+// DeviceMotionEventAcceleration 的屬性在 prototype 上，JSON.stringify 會得到 {}，需要手動複製
+function copyAcceleration(acceleration) {
+    if (!acceleration) return null;
+    return { x: acceleration.x, y: acceleration.y, z: acceleration.z };
+}
+
+class SensorRecorder {
+    constructor(clock, { config = {}, platform = 'Unknown', initialState = null } = {}) {
+        this.clock = clock;
+        this.startTime = clock.now();
+        this.session = {
+            format: SENSOR_SESSION_FORMAT,
+            version: SENSOR_SESSION_VERSION,
+            recordedAt: new Date().toISOString(),
+            platform,
+            config: { ...config },
+            initialState: initialState ?? { isCalibrated: false, calibration: { alpha: 0, beta: 0, gamma: 0 } },
+            events: []
+        };
+    }
+
+    record(type, data) {
+        this.session.events.push({ t: this.clock.now() - this.startTime, type, data });
+    }
+
+    // screenAngle：當下的畫面旋轉角度，重播時用來換算傾斜方向
+    recordOrientation({ alpha, beta, gamma }, screenAngle = 0) {
+        this.record(SensorEventType.ORIENTATION, { alpha, beta, gamma, screenAngle });
+    }
+
+    recordMotion(event) {
+        this.record(SensorEventType.MOTION, {
+            acceleration: copyAcceleration(event.acceleration),
+            accelerationIncludingGravity: copyAcceleration(event.accelerationIncludingGravity)
+        });
+    }
+
+    getSession() {
+        return this.session;
+    }
+
+    getDuration() {
+        const { events } = this.session;
+        return events.length > 0 ? events[events.length - 1].t : 0;
+    }
+}
+
+// 驗證並回傳錄製資料；json 可以是字串或已解析的物件
+function parseSensorSession(json) {
+    const session = typeof json === 'string' ? JSON.parse(json) : json;
+    if (!session || session.format !== SENSOR_SESSION_FORMAT) {
+        throw new Error('不是感應器錄製檔');
+    }
+    if (session.version !== SENSOR_SESSION_VERSION) {
+        throw new Error(`不支援的錄製檔版本: ${session.version}`);
+    }
+    if (!Array.isArray(session.events)) {
+        throw new Error('錄製檔缺少 events');
+    }
+    let lastTime = 0;
+    session.events.forEach((event, index) => {
+        if (typeof event.t !== 'number' || event.t < lastTime || !Object.values(SensorEventType).includes(event.type)) {
+            throw new Error(`錄製檔第 ${index} 筆事件格式錯誤`);
+        }
+        lastTime = event.t;
+    });
+    return session;
+}
+
+// 讀取 <input type="file"> 選到的檔案
+async function loadSensorSession(file) {
+    return parseSensorSession(await file.text());
+}
+
+// 在瀏覽器中下載錄製檔
+function downloadSensorSession(session, filename = `sensor-session-${session.recordedAt.replace(/[:.]/g, '-')}.json`) {
+    const blob = new Blob([JSON.stringify(session)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+    return filename;
+}
+
+export {
+    SensorRecorder,
+    SensorEventType,
+    SENSOR_SESSION_FORMAT,
+    SENSOR_SESSION_VERSION,
+    REPLAYED_EVENT_TYPES,
+    parseSensorSession,
+    loadSensorSession,
+    downloadSensorSession
+};
@@ -0,0 +1,167 @@
+// Helper for signaling message types (equivalent to C# enum)
+const SignalingMessageType = {
+  NEWPEER: "NEWPEER",
+  NEWPEERACK: "NEWPEERACK",
+  OFFER: "OFFER",
+  ANSWER: "ANSWER",
+  CANDIDATE: "CANDIDATE",
+  DISPOSE: "DISPOSE",
+  DATA: "DATA",
+  COMPLETE: "COMPLETE",
+  // Add any other types if used
+};
+
+// Helper to parse and create signaling messages
+// Format: Type|Sender|Receiver|Message|ConnectionCount|IsVideoAudioSender[|RoomId]
+// RoomId is optional so frames from clients without rooms (e.g. the existing Unity client) still parse.
+//
+// A Message that contains '|' (SDP, candidates, free text) or starts with '#' is written length-prefixed as
+// '#<length>:<message>', where length counts UTF-16 code units (JS string length, C# string.Length).
+// Messages without either character are written as-is, so the frame stays byte-identical to the legacy format.
+// Legacy frames whose message contains pipes are still read: the typed trailing fields are matched from the right.
+// A RoomId of "true" / "false" is rejected: in "...|0|false|true" it could just as well be a stray IsVideoAudioSender
+// flag, so such frames are never written and are refused when read.
+const LENGTH_PREFIX_PATTERN = /^#(\d+):/;
+const INTEGER_PATTERN = /^-?\d+$/;
+const BOOLEAN_PATTERN = /^(true|false)$/i;
+
+class SignalingFrameError extends Error {
+  constructor(message, frame) {
+    super(message);
+    this.name = "SignalingFrameError";
+    this.frame = frame;
+  }
+}
+
+// Header fields and RoomId are written verbatim, so they must not contain the field separator
+function assertSignalingField(name, value) {
+  if (String(value ?? "").includes("|")) {
+    throw new SignalingFrameError(`${name} must not contain '|'`, String(value));
+  }
+}
+
+function assertRoomId(roomId, frame = String(roomId)) {
+  assertSignalingField("RoomId", roomId);
+  if (BOOLEAN_PATTERN.test(String(roomId ?? ""))) {
+    throw new SignalingFrameError(`RoomId '${roomId}' is ambiguous with IsVideoAudioSender`, frame);
+  }
+}
+
+function encodeMessageField(message) {
+  const text = message == null ? "" : String(message);
+  if (text.includes("|") || text.startsWith("#")) {
+    return `#${text.length}:${text}`;
+  }
+  return text;
+}
+
+function parseTrailingFields(fields, frame) {
+  if (fields.length !== 2 && fields.length !== 3) {
+    throw new SignalingFrameError(`Expected 2 or 3 trailing fields, got ${fields.length}`, frame);
+  }
+  const [connectionCount, isVideoAudioSender, roomId = ""] = fields;
+  if (!INTEGER_PATTERN.test(connectionCount)) {
+    throw new SignalingFrameError(`Invalid ConnectionCount '${connectionCount}'`, frame);
+  }
+  if (!BOOLEAN_PATTERN.test(isVideoAudioSender)) {
+    throw new SignalingFrameError(`Invalid IsVideoAudioSender '${isVideoAudioSender}'`, frame);
+  }
+  assertRoomId(roomId, frame);
+  return {
+    ConnectionCount: parseInt(connectionCount, 10),
+    IsVideoAudioSender: isVideoAudioSender.toLowerCase() === "true",
+    RoomId: roomId,
+  };
+}
+
+// Legacy frame: the message is whatever lies between the header and the typed trailing fields
+function splitLegacyBody(body, frame) {
+  const parts = body.split("|");
+  const isTrailer = (count, flag) => INTEGER_PATTERN.test(count) && BOOLEAN_PATTERN.test(flag);
+  if (parts.length >= 3 && isTrailer(parts[parts.length - 2], parts[parts.length - 1])) {
+    return { message: parts.slice(0, -2).join("|"), trailing: parts.slice(-2) };
+  }
+  if (parts.length >= 4 && isTrailer(parts[parts.length - 3], parts[parts.length - 2])) {
+    return { message: parts.slice(0, -3).join("|"), trailing: parts.slice(-3) };
+  }
+  throw new SignalingFrameError("Missing ConnectionCount|IsVideoAudioSender fields", frame);
+}
+
+function parseFrame(frame) {
+  if (typeof frame !== "string") {
+    throw new SignalingFrameError(`Frame must be a string, got ${typeof frame}`, frame);
+  }
+
+  const header = [];
+  let offset = 0;
+  for (let i = 0; i < 3; i++) {
+    const end = frame.indexOf("|", offset);
+    if (end === -1) {
+      throw new SignalingFrameError("Frame has fewer than 6 fields", frame);
+    }
+    header.push(frame.slice(offset, end));
+    offset = end + 1;
+  }
+  const [type, senderPeerId, receiverPeerId] = header;
+  if (!type || !senderPeerId || !receiverPeerId) {
+    throw new SignalingFrameError("Type, SenderPeerId and ReceiverPeerId must not be empty", frame);
+  }
+
+  const body = frame.slice(offset);
+  let message;
+  let trailing;
+  const prefix = LENGTH_PREFIX_PATTERN.exec(body);
+  if (prefix) {
+    const length = parseInt(prefix[1], 10);
+    const start = prefix[0].length;
+    message = body.slice(start, start + length);
+    if (message.length !== length || body[start + length] !== "|") {
+      throw new SignalingFrameError(`Length-prefixed message does not match its declared length ${length}`, frame);
+    }
+    trailing = body.slice(start + length + 1).split("|");
+  } else {
+    ({ message, trailing } = splitLegacyBody(body, frame));
+  }
+
+  return {
+    Type: type,
+    SenderPeerId: senderPeerId,
+    ReceiverPeerId: receiverPeerId,
+    Message: message,
+    ...parseTrailingFields(trailing, frame),
+  };
+}
+
+class SignalingMessage {
+  constructor(type, senderPeerId, receiverPeerId, message, connectionCount, isVideoAudioSender, roomId = "") {
+    if (typeof type === "string" && arguments.length === 1) {
+      // Parse from string; throws SignalingFrameError for malformed frames
+      Object.assign(this, parseFrame(type));
+    } else {
+      // Create new message
+      this.Type = type;
+      this.SenderPeerId = senderPeerId;
+      this.ReceiverPeerId = receiverPeerId;
+      this.Message = message;
+      this.ConnectionCount = connectionCount;
+      this.IsVideoAudioSender = isVideoAudioSender;
+      this.RoomId = roomId ?? "";
+    }
+  }
+
+  static parse(frame) {
+    return Object.assign(Object.create(SignalingMessage.prototype), parseFrame(frame));
+  }
+
+  toString() {
+    for (const [name, value] of [["Type", this.Type], ["SenderPeerId", this.SenderPeerId], ["ReceiverPeerId", this.ReceiverPeerId]]) {
+      assertSignalingField(name, value);
+    }
+    assertRoomId(this.RoomId);
+    const frame = `${this.Type}|${this.SenderPeerId}|${this.ReceiverPeerId}|${encodeMessageField(this.Message)}|${this.ConnectionCount ?? 0}|${!!this.IsVideoAudioSender}`;
+    // Room-less frames keep the legacy six-field layout
+    return this.RoomId ? `${frame}|${this.RoomId}` : frame;
+  }
+}
+
+export { SignalingMessage, SignalingMessageType, SignalingFrameError, assertSignalingField, assertRoomId };
@@ -0,0 +1,236 @@
+// GyroscopeManager 的測試替身：可手動推進的時鐘、可餵入錄製資料的感應器來源、記錄音效與震動的後端
+//
+//   const { env, clock, sensorSource } = createFakeGyroscopeEnv();
+//   const gyro = new GyroscopeManager({ enableAudio: true }, env);
+//   const ready = gyro.init();
+//   await playOrientationSequence(sensorSource, clock, holdOrientation({ alpha: 0, beta: 0, gamma: 0 }, 4000));
+//   await ready; // 權限、相容性檢查與支援驗證都由假時鐘推進
+//
+// 方向資料以 { alpha, beta, gamma } 表示；序列中的樣本可帶 t（毫秒，相對於序列開始）來指定時間點。
+
+const FRAME_MS = 16;
+
+// 讓排入的 promise 回呼執行完畢（使用真實的 macrotask）
+const flushPromises = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+class FakeClock {
+    constructor(startTime = 0) {
+        this.time = startTime;
+        this.timers = new Map(); // id -> { dueTime, callback }
+        this.nextId = 1;
+    }
+
+    now() {
+        return this.time;
+    }
+
+    setTimeout(callback, ms = 0) {
+        const id = this.nextId++;
+        this.timers.set(id, { dueTime: this.time + Math.max(0, ms), callback });
+        return id;
+    }
+
+    clearTimeout(id) {
+        this.timers.delete(id);
+    }
+
+    requestAnimationFrame(callback) {
+        return this.setTimeout(() => callback(this.time), FRAME_MS);
+    }
+
+    // 推進時間並依到期順序執行計時器（執行中新增的計時器若在範圍內也會執行）
+    advance(ms) {
+        const endTime = this.time + ms;
+        for (;;) {
+            let next = null;
+            for (const [id, timer] of this.timers) {
+                if (timer.dueTime <= endTime && (!next || timer.dueTime < next.timer.dueTime)) {
+                    next = { id, timer };
+                }
+            }
+            if (!next) break;
+            this.timers.delete(next.id);
+            this.time = next.timer.dueTime;
+            next.timer.callback();
+        }
+        this.time = endTime;
+    }
+
+    // 以 stepMs 為單位推進，每步之間讓 async 流程（如 init()）有機會繼續
+    async runFor(ms, stepMs = FRAME_MS) {
+        for (let elapsed = 0; elapsed < ms; elapsed += stepMs) {
+            this.advance(Math.min(stepMs, ms - elapsed));
+            await flushPromises();
+        }
+    }
+}
+
+// 模擬 window 上的 deviceorientation / devicemotion 事件
+// permission: 'granted' | 'denied' 模擬 iOS 13+ 的 requestPermission；null 表示不需要請求（Android）
+class FakeSensorSource {
+    constructor({ permission = null, motionSupported = true } = {}) {
+        this.listeners = new Map(); // type -> Set<listener>
+        this.permissionRequests = 0;
+
+        const requestPermission = permission === null ? undefined : async () => {
+            this.permissionRequests++;
+            return permission;
+        };
+        this.DeviceOrientationEvent = { requestPermission };
+        this.DeviceMotionEvent = motionSupported ? { requestPermission } : undefined;
+    }
+
+    addEventListener(type, listener) {
+        if (!this.listeners.has(type)) {
+            this.listeners.set(type, new Set());
+        }
+        this.listeners.get(type).add(listener);
+    }
+
+    removeEventListener(type, listener) {
+        this.listeners.get(type)?.delete(listener);
+    }
+
+    listenerCount(type) {
+        return this.listeners.get(type)?.size ?? 0;
+    }
+
+    emit(type, event) {
+        // 複製一份，避免監聽器在處理中移除自己時影響迭代
+        [...(this.listeners.get(type) ?? [])].forEach((listener) => listener(event));
+    }
+
+    emitOrientation({ alpha = null, beta = null, gamma = null }) {
+        this.emit('deviceorientation', { type: 'deviceorientation', alpha, beta, gamma });
+    }
+
+    emitMotion({ acceleration = null, accelerationIncludingGravity = null } = {}) {
+        this.emit('devicemotion', { type: 'devicemotion', acceleration, accelerationIncludingGravity });
+    }
+}
+
+// 記錄 playFeedbackSound 播放的音效設定
+class FakeAudioContext {
+    constructor() {
+        this.state = 'running';
+        this.currentTime = 0;
+        this.destination = {};
+        this.tones = []; // { frequency, type, gain, pan }
+        this.isClosed = false;
+    }
+
+    createOscillator() {
+        const tone = { frequency: 0, type: 'sine', gain: 0, pan: 0 };
+        const oscillator = {
+            frequency: {
+                get value() { return tone.frequency; },
+                set value(value) { tone.frequency = value; }
+            },
+            get type() { return tone.type; },
+            set type(value) { tone.type = value; },
+            connect: (node) => node._attach?.(tone),
+            start: () => this.tones.push(tone),
+            stop: () => {}
+        };
+        return oscillator;
+    }
+
+    createStereoPanner() {
+        let attached = null;
+        return {
+            pan: {
+                set value(value) { if (attached) attached.pan = value; }
+            },
+            _attach: (tone) => { attached = tone; },
+            connect: (node) => attached && node._attach?.(attached)
+        };
+    }
+
+    createGain() {
+        let attached = null;
+        return {
+            gain: {
+                set value(value) { if (attached) attached.gain = value; },
+                linearRampToValueAtTime: () => {}
+            },
+            _attach: (tone) => { attached = tone; },
+            connect: () => {}
+        };
+    }
+
+    resume() {
+        this.state = 'running';
+        return Promise.resolve();
+    }
+
+    close() {
+        this.isClosed = true;
+        this.state = 'closed';
+        return Promise.resolve();
+    }
+}
+
+// 震動後端：回傳的函式會記錄每次的震動模式
+function createVibrationRecorder() {
+    const vibrate = (pattern) => {
+        vibrate.patterns.push(pattern);
+        return true;
+    };
+    vibrate.patterns = [];
+    return vibrate;
+}
+
+function createFakeGyroscopeEnv({ permission = null, motionSupported = true, platform = 'Linux armv8l', userAgent = 'Mozilla/5.0 (Linux; Android 14)' } = {}) {
+    const clock = new FakeClock();
+    const sensorSource = new FakeSensorSource({ permission, motionSupported });
+    const audioContexts = [];
+    const vibrate = createVibrationRecorder();
+    const screen = { angle: 0 }; // 改變 angle 模擬轉成橫向
+    const env = {
+        sensorSource,
+        clock,
+        audioContextFactory: () => {
+            const context = new FakeAudioContext();
+            audioContexts.push(context);
+            return context;
+        },
+        vibrate,
+        document: null,
+        navigator: { platform, userAgent },
+        getScreenOrientationAngle: () => screen.angle
+    };
+    return { env, clock, sensorSource, audioContexts, vibrate, screen };
+}
+
+// 產生 durationMs 內每 intervalMs 一筆、數值固定的樣本
+function holdOrientation(orientation, durationMs, intervalMs = FRAME_MS) {
+    const samples = [];
+    for (let t = 0; t <= durationMs; t += intervalMs) {
+        samples.push({ ...orientation, t });
+    }
+    return samples;
+}
+
+// 依時間順序餵入方向樣本，並推進假時鐘；沒有 t 的樣本間隔 intervalMs
+async function playOrientationSequence(sensorSource, clock, samples, intervalMs = FRAME_MS) {
+    const startTime = clock.now();
+    let lastTime = 0;
+    for (const sample of samples) {
+        const t = sample.t ?? lastTime + intervalMs;
+        await clock.runFor(Math.max(0, startTime + t - clock.now()));
+        sensorSource.emitOrientation(sample);
+        lastTime = t;
+    }
+    await flushPromises();
+}
+
+export {
+    FakeClock,
+    FakeSensorSource,
+    FakeAudioContext,
+    createVibrationRecorder,
+    createFakeGyroscopeEnv,
+    holdOrientation,
+    playOrientationSequence,
+    flushPromises
+};
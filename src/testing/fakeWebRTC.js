@@ -0,0 +1,482 @@
+// In-memory stand-ins for WebSocket, RTCPeerConnection and RTCDataChannel, so the WebRTCManager signaling flow
+// (NEWPEER -> NEWPEERACK -> OFFER -> ANSWER -> CANDIDATE -> DATA, plus disconnects and DISPOSE) runs headless in Node.
+//
+//   const bus = new FakeSignalingBus();
+//   const network = new FakePeerNetwork();
+//   const options = { createWebSocket: bus.createWebSocket, createPeerConnection: network.createPeerConnection };
+//   const host = new WebRTCManager("host", [], null, options);
+//   const player = new WebRTCManager("player", [], null, options);
+//   await host.connect("ws://fake", false, false);
+//   await player.connect("ws://fake", false, false);
+//   await settle(); // host and player now have open data channels to each other
+//
+// Everything is asynchronous like the browser APIs; settle() waits until the pending callbacks have run.
+import { SignalingMessage } from "../signalingMessage.js";
+
+const FakeWebSocketState = {
+  CONNECTING: 0,
+  OPEN: 1,
+  CLOSING: 2,
+  CLOSED: 3,
+};
+
+// Runs after the current task, like browser event dispatch
+const defer = (callback) => setTimeout(callback, 0);
+
+// Lets every deferred callback (and the promise chains they start) run; rounds bounds chains of deferrals
+async function settle(rounds = 20) {
+  for (let i = 0; i < rounds; i++) {
+    await new Promise((resolve) => setTimeout(resolve, 0));
+  }
+}
+
+// Routes frames between FakeWebSockets the way server/signalingServer.js does: "ALL" goes to every other
+// socket (skipping sockets in a different room), anything else to the receiver only.
+// A socket is known by the sender id of the first frame it sends.
+class FakeSignalingBus {
+  constructor() {
+    this.sockets = new Set();
+    this.frames = []; // Every routed frame as { from, text }, for assertions
+    this.isAcceptingConnections = true;
+
+    // Bound so it can be passed directly as WebRTCManager's createWebSocket option
+    this.createWebSocket = (url) => new FakeWebSocket(this, url);
+  }
+
+  getSocket(peerId) {
+    for (const socket of this.sockets) {
+      if (socket.peerId === peerId) return socket;
+    }
+    return null;
+  }
+
+  // Drops a peer's signaling connection as if the network went away (close code 1006)
+  disconnect(peerId) {
+    this.getSocket(peerId)?._closeFromServer(1006, "Connection lost");
+  }
+
+  // Delivers a raw frame to one peer, e.g. a DISPOSE the server would send or a malformed frame
+  deliver(peerId, text) {
+    const socket = this.getSocket(peerId);
+    if (!socket) {
+      throw new Error(`No fake WebSocket registered for ${peerId}`);
+    }
+    socket._receive(text);
+  }
+
+  _accept(socket) {
+    if (!this.isAcceptingConnections) return false;
+    this.sockets.add(socket);
+    return true;
+  }
+
+  _route(socket, text) {
+    const message = SignalingMessage.parse(text);
+    socket.peerId = message.SenderPeerId;
+    socket.roomId = message.RoomId || "";
+    this.frames.push({ from: socket.peerId, text });
+
+    if (message.ReceiverPeerId === "ALL") {
+      for (const other of this.sockets) {
+        if (other === socket || other.peerId === null) continue;
+        if (message.RoomId && other.roomId && other.roomId !== message.RoomId) continue;
+        other._receive(text);
+      }
+      return;
+    }
+    this.getSocket(message.ReceiverPeerId)?._receive(text);
+  }
+
+  _remove(socket) {
+    this.sockets.delete(socket);
+  }
+}
+
+class FakeWebSocket {
+  static CONNECTING = FakeWebSocketState.CONNECTING;
+  static OPEN = FakeWebSocketState.OPEN;
+  static CLOSING = FakeWebSocketState.CLOSING;
+  static CLOSED = FakeWebSocketState.CLOSED;
+
+  constructor(bus, url) {
+    this.bus = bus;
+    this.url = url;
+    this.readyState = FakeWebSocketState.CONNECTING;
+    this.peerId = null;
+    this.roomId = "";
+    this.sent = []; // Frames sent by this socket
+
+    this.onopen = null;
+    this.onmessage = null;
+    this.onerror = null;
+    this.onclose = null;
+
+    defer(() => {
+      if (this.readyState !== FakeWebSocketState.CONNECTING) return;
+      if (!this.bus._accept(this)) {
+        // What a browser reports for a refused connection: error, then close with 1006
+        this.readyState = FakeWebSocketState.CLOSED;
+        this.onerror?.({ type: "error" });
+        this.onclose?.({ code: 1006, reason: "" });
+        return;
+      }
+      this.readyState = FakeWebSocketState.OPEN;
+      this.onopen?.({ type: "open" });
+    });
+  }
+
+  send(text) {
+    if (this.readyState !== FakeWebSocketState.OPEN) {
+      throw new Error("FakeWebSocket is not open");
+    }
+    this.sent.push(text);
+    defer(() => this.bus._route(this, text));
+  }
+
+  close(code = 1000, reason = "") {
+    if (this.readyState === FakeWebSocketState.CLOSING || this.readyState === FakeWebSocketState.CLOSED) return;
+    this.readyState = FakeWebSocketState.CLOSING;
+    this.bus._remove(this);
+    defer(() => {
+      this.readyState = FakeWebSocketState.CLOSED;
+      this.onclose?.({ code, reason });
+    });
+  }
+
+  _receive(text) {
+    defer(() => {
+      if (this.readyState === FakeWebSocketState.OPEN) {
+        this.onmessage?.({ data: text });
+      }
+    });
+  }
+
+  _closeFromServer(code, reason) {
+    this.bus._remove(this);
+    this.readyState = FakeWebSocketState.CLOSED;
+    defer(() => this.onclose?.({ code, reason }));
+  }
+}
+
+class FakeRTCDataChannel {
+  constructor(label, options = {}) {
+    this.label = label;
+    this.ordered = options.ordered ?? true;
+    this.maxRetransmits = options.maxRetransmits ?? null;
+    this.readyState = "connecting";
+    this.binaryType = "blob";
+    this.remote = null; // The FakeRTCDataChannel on the other peer connection
+    this.sent = []; // Messages sent on this channel
+
+    this.onopen = null;
+    this.onmessage = null;
+    this.onclose = null;
+    this.onerror = null;
+  }
+
+  send(data) {
+    if (this.readyState !== "open") {
+      throw new Error(`FakeRTCDataChannel ${this.label} is not open`);
+    }
+    this.sent.push(data);
+    const remote = this.remote;
+    defer(() => {
+      if (remote.readyState === "open") {
+        remote.onmessage?.({ data });
+      }
+    });
+  }
+
+  close() {
+    if (this.readyState === "closed") return;
+    this._setClosed(true);
+    this.remote?._setClosed(true);
+  }
+
+  _open() {
+    if (this.readyState !== "connecting") return;
+    this.readyState = "open";
+    this.onopen?.({ type: "open" });
+  }
+
+  _setClosed(fireEvent) {
+    if (this.readyState === "closed") return;
+    this.readyState = "closed";
+    if (fireEvent) {
+      defer(() => this.onclose?.({ type: "close" }));
+    }
+  }
+}
+
+// Creates FakeRTCPeerConnections and connects two of them once each holds the other's description.
+// SDP is a placeholder that only identifies the peer connection which created it.
+class FakePeerNetwork {
+  constructor() {
+    this.peerConnections = new Map(); // id -> FakeRTCPeerConnection
+    this.nextId = 1;
+
+    // Bound so it can be passed directly as WebRTCManager's createPeerConnection option
+    this.createPeerConnection = (config) => new FakeRTCPeerConnection(this, config);
+  }
+
+  _register(pc) {
+    const id = this.nextId++;
+    this.peerConnections.set(id, pc);
+    return id;
+  }
+
+  _findBySdp(sdp) {
+    const match = /^fake-sdp:(\d+):/.exec(sdp ?? "");
+    return match ? this.peerConnections.get(Number(match[1])) ?? null : null;
+  }
+}
+
+class FakeRTCPeerConnection {
+  constructor(network, config = {}) {
+    this.network = network;
+    this.config = config;
+    this.id = network._register(this);
+    this.signalingState = "stable";
+    this.iceConnectionState = "new";
+    this.currentLocalDescription = null;
+    this.pendingLocalDescription = null;
+    this.currentRemoteDescription = null;
+    this.pendingRemoteDescription = null;
+    this.remoteCandidates = []; // Candidates passed to addIceCandidate
+    this.dataChannels = []; // Channels created locally
+    this.senders = [];
+    this.descriptionVersion = 0;
+    this.isNegotiationNeededScheduled = false;
+
+    this.onicecandidate = null;
+    this.oniceconnectionstatechange = null;
+    this.onsignalingstatechange = null;
+    this.ondatachannel = null;
+    this.ontrack = null;
+    this.onnegotiationneeded = null;
+  }
+
+  get localDescription() {
+    return this.pendingLocalDescription ?? this.currentLocalDescription;
+  }
+
+  get remoteDescription() {
+    return this.pendingRemoteDescription ?? this.currentRemoteDescription;
+  }
+
+  createDataChannel(label, options) {
+    const channel = new FakeRTCDataChannel(label, options);
+    this.dataChannels.push(channel);
+    if (this.iceConnectionState === "connected") {
+      defer(() => this._pairDataChannel(channel));
+    } else if (this.dataChannels.length === 1) {
+      this._scheduleNegotiationNeeded();
+    }
+    return channel;
+  }
+
+  addTrack(track) {
+    const sender = { track };
+    this.senders.push(sender);
+    this._scheduleNegotiationNeeded();
+    return sender;
+  }
+
+  removeTrack(sender) {
+    sender.track = null;
+    this._scheduleNegotiationNeeded();
+  }
+
+  getSenders() {
+    return this.senders;
+  }
+
+  restartIce() {
+    this._scheduleNegotiationNeeded();
+  }
+
+  async createOffer() {
+    this._assertNotClosed();
+    return { type: "offer", sdp: this._createSdp() };
+  }
+
+  async createAnswer() {
+    this._assertNotClosed();
+    if (this.signalingState !== "have-remote-offer") {
+      throw this._invalidState(`createAnswer in signaling state ${this.signalingState}`);
+    }
+    return { type: "answer", sdp: this._createSdp() };
+  }
+
+  async setLocalDescription(description) {
+    this._assertNotClosed();
+    const { type, sdp } = description;
+    if (type === "rollback") {
+      if (this.signalingState !== "have-local-offer" && this.signalingState !== "have-remote-offer") {
+        throw this._invalidState(`rollback in signaling state ${this.signalingState}`);
+      }
+      this.pendingLocalDescription = null;
+      this.pendingRemoteDescription = null;
+      this._setSignalingState("stable");
+      return;
+    }
+    if (type === "offer") {
+      if (this.signalingState !== "stable" && this.signalingState !== "have-local-offer") {
+        throw this._invalidState(`local offer in signaling state ${this.signalingState}`);
+      }
+      this.pendingLocalDescription = { type, sdp };
+      this._setSignalingState("have-local-offer");
+    } else if (type === "answer") {
+      if (this.signalingState !== "have-remote-offer") {
+        throw this._invalidState(`local answer in signaling state ${this.signalingState}`);
+      }
+      this.currentLocalDescription = { type, sdp };
+      this.currentRemoteDescription = this.pendingRemoteDescription;
+      this.pendingLocalDescription = null;
+      this.pendingRemoteDescription = null;
+      this._setSignalingState("stable");
+    } else {
+      throw new TypeError(`Unsupported description type '${type}'`);
+    }
+    this._gatherCandidate();
+    this._tryConnect();
+  }
+
+  async setRemoteDescription(description) {
+    this._assertNotClosed();
+    const { type, sdp } = description;
+    if (type === "offer") {
+      if (this.signalingState !== "stable" && this.signalingState !== "have-remote-offer") {
+        throw this._invalidState(`remote offer in signaling state ${this.signalingState}`);
+      }
+      this.pendingRemoteDescription = { type, sdp };
+      this._setSignalingState("have-remote-offer");
+    } else if (type === "answer") {
+      if (this.signalingState !== "have-local-offer") {
+        throw this._invalidState(`remote answer in signaling state ${this.signalingState}`);
+      }
+      this.currentRemoteDescription = { type, sdp };
+      this.currentLocalDescription = this.pendingLocalDescription;
+      this.pendingLocalDescription = null;
+      this.pendingRemoteDescription = null;
+      this._setSignalingState("stable");
+      this._tryConnect();
+    } else {
+      throw new TypeError(`Unsupported description type '${type}'`);
+    }
+  }
+
+  async addIceCandidate(candidate) {
+    this._assertNotClosed();
+    if (this.remoteDescription == null) {
+      throw this._invalidState("addIceCandidate without a remote description");
+    }
+    this.remoteCandidates.push(candidate);
+  }
+
+  close() {
+    if (this.signalingState === "closed") return;
+    // Like the browser: no events on this side, the remote channels see the close
+    this.signalingState = "closed";
+    this.iceConnectionState = "closed";
+    for (const channel of this.dataChannels) {
+      channel._setClosed(false);
+      channel.remote?._setClosed(true);
+    }
+    for (const channel of this._remoteChannels()) {
+      channel._setClosed(false);
+      channel.remote?._setClosed(true);
+    }
+  }
+
+  // Test hook: drives ICE through 'disconnected' / 'failed' / 'connected' to exercise recovery paths
+  setIceConnectionState(state) {
+    if (this.iceConnectionState === state || this.signalingState === "closed") return;
+    this.iceConnectionState = state;
+    this.oniceconnectionstatechange?.({ type: "iceconnectionstatechange" });
+  }
+
+  _remoteChannels() {
+    const remotePc = this.network._findBySdp(this.currentRemoteDescription?.sdp);
+    return remotePc ? remotePc.dataChannels.map((channel) => channel.remote).filter(Boolean) : [];
+  }
+
+  _createSdp() {
+    this.descriptionVersion++;
+    return `fake-sdp:${this.id}:${this.descriptionVersion}`;
+  }
+
+  _scheduleNegotiationNeeded() {
+    if (this.isNegotiationNeededScheduled) return;
+    this.isNegotiationNeededScheduled = true;
+    defer(() => {
+      this.isNegotiationNeededScheduled = false;
+      if (this.signalingState === "closed") return;
+      this.onnegotiationneeded?.({ type: "negotiationneeded" });
+    });
+  }
+
+  _setSignalingState(state) {
+    this.signalingState = state;
+    this.onsignalingstatechange?.({ type: "signalingstatechange" });
+  }
+
+  // One host candidate per description; enough to drive CANDIDATE signaling
+  _gatherCandidate() {
+    const candidateInit = {
+      candidate: `candidate:${this.id} 1 udp 2122260223 192.0.2.${this.id % 255} ${50000 + this.descriptionVersion} typ host`,
+      sdpMid: "0",
+      sdpMLineIndex: 0,
+    };
+    defer(() => {
+      if (this.signalingState === "closed") return;
+      this.onicecandidate?.({ candidate: { ...candidateInit, toJSON: () => candidateInit } });
+    });
+  }
+
+  // Connected once both sides hold each other's descriptions and are back to stable
+  _tryConnect() {
+    if (this.signalingState !== "stable" || !this.currentLocalDescription || !this.currentRemoteDescription) return;
+    const remotePc = this.network._findBySdp(this.currentRemoteDescription.sdp);
+    if (!remotePc || remotePc.signalingState !== "stable") return;
+    if (this.network._findBySdp(remotePc.currentRemoteDescription?.sdp) !== this) return;
+
+    defer(() => {
+      for (const pc of [this, remotePc]) {
+        if (pc.iceConnectionState !== "connected") {
+          pc.setIceConnectionState("checking");
+          pc.setIceConnectionState("connected");
+        }
+      }
+      this.dataChannels.forEach((channel) => this._pairDataChannel(channel));
+      remotePc.dataChannels.forEach((channel) => remotePc._pairDataChannel(channel));
+    });
+  }
+
+  _pairDataChannel(channel) {
+    if (channel.remote || channel.readyState !== "connecting") return;
+    const remotePc = this.network._findBySdp(this.currentRemoteDescription?.sdp);
+    if (!remotePc || remotePc.signalingState === "closed") return;
+
+    const remoteChannel = new FakeRTCDataChannel(channel.label, { ordered: channel.ordered, maxRetransmits: channel.maxRetransmits });
+    channel.remote = remoteChannel;
+    remoteChannel.remote = channel;
+    remotePc.ondatachannel?.({ channel: remoteChannel });
+    channel._open();
+    remoteChannel._open();
+  }
+
+  _assertNotClosed() {
+    if (this.signalingState === "closed") {
+      throw this._invalidState("peer connection is closed");
+    }
+  }
+
+  _invalidState(message) {
+    const error = new Error(`FakeRTCPeerConnection: ${message}`);
+    error.name = "InvalidStateError";
+    return error;
+  }
+}
+
+export { FakeSignalingBus, FakeWebSocket, FakeWebSocketState, FakePeerNetwork, FakeRTCPeerConnection, FakeRTCDataChannel, settle };
@@ -0,0 +1,85 @@
+import { shapeAxis } from './responseCurves.js';
+
+// 傾斜視覺化：方框內以淡色點顯示線性傾斜量，實心點顯示套用反應曲線後實際送出的座標；
+// 右側小圖畫出 x / y 軸目前的反應曲線（橫軸為傾斜量，縱軸為輸出）
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const CURVE_SAMPLES = 32;
+
+class TiltVisualizer {
+    constructor(container, { size = 120 } = {}) {
+        this.container = container;
+        this.size = size;
+
+        this.pad = document.createElement('div');
+        this.pad.className = 'tiltPad';
+        this.pad.style.width = `${size}px`;
+        this.pad.style.height = `${size}px`;
+
+        this.deadZone = document.createElement('div');
+        this.deadZone.className = 'tiltDeadZone';
+        this.rawDot = document.createElement('div');
+        this.rawDot.className = 'tiltDot tiltRaw';
+        this.outputDot = document.createElement('div');
+        this.outputDot.className = 'tiltDot tiltOutput';
+        this.pad.append(this.deadZone, this.rawDot, this.outputDot);
+
+        this.curvePlot = document.createElementNS(SVG_NS, 'svg');
+        this.curvePlot.classList.add('tiltCurve');
+        this.curvePlot.setAttribute('viewBox', '0 0 1 1');
+        this.curvePlot.setAttribute('width', size);
+        this.curvePlot.setAttribute('height', size);
+        this.curveLines = {};
+        for (const axis of ['x', 'y']) {
+            const line = document.createElementNS(SVG_NS, 'polyline');
+            line.classList.add(`tiltCurve-${axis}`);
+            this.curvePlot.appendChild(line);
+            this.curveLines[axis] = line;
+        }
+
+        this.container.classList.add('tiltVisualizer');
+        this.container.append(this.pad, this.curvePlot);
+
+        this.setResponse({});
+        this.update({ x: 0, y: 0 }, { x: 0, y: 0 });
+    }
+
+    // linear: getLinearCoordinates()，output: getDirectionAsCoordinates()；皆為 [-1, 1]，往右 / 往上為正
+    update(linear, output) {
+        this.placeDot(this.rawDot, linear);
+        this.placeDot(this.outputDot, output);
+    }
+
+    placeDot(dot, { x, y }) {
+        dot.style.left = `${(x + 1) / 2 * 100}%`;
+        dot.style.top = `${(1 - y) / 2 * 100}%`;
+    }
+
+    // response: { x, y }，與 GyroscopeManager.getAxisResponse() 相同格式
+    setResponse(response) {
+        for (const axis of ['x', 'y']) {
+            const axisResponse = response[axis] ?? {};
+            const points = [];
+            for (let i = 0; i <= CURVE_SAMPLES; i++) {
+                const input = i / CURVE_SAMPLES;
+                // 曲線圖只畫量值，反向不影響形狀
+                const output = Math.abs(shapeAxis(input, { ...axisResponse, invert: false }));
+                points.push(`${input},${1 - output}`);
+            }
+            this.curveLines[axis].setAttribute('points', points.join(' '));
+        }
+
+        // 死區以橢圓表示（兩軸可能不同）；靈敏度越高，同樣傾斜量越早離開死區
+        const deadZoneX = (response.x?.innerDeadZone ?? 0) / (response.x?.sensitivity ?? 1);
+        const deadZoneY = (response.y?.innerDeadZone ?? 0) / (response.y?.sensitivity ?? 1);
+        this.deadZone.style.width = `${Math.min(1, deadZoneX) * 100}%`;
+        this.deadZone.style.height = `${Math.min(1, deadZoneY) * 100}%`;
+    }
+
+    destroy() {
+        this.pad.remove();
+        this.curvePlot.remove();
+        this.container.classList.remove('tiltVisualizer');
+    }
+}
+
+export { TiltVisualizer };
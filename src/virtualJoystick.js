@@ -0,0 +1,194 @@
+// 觸控虛擬搖桿：輸出與陀螺儀相同的連續向量 { x, y }，範圍 [-1, 1]，往右 / 往上為正
+// mode 'floating'：手指按下的位置即為原點；'fixed'：原點固定在觸控區中央
+// 多點觸控安全：只追蹤第一個按下的指標，其他手指（例如同時按著其他按鈕）不會影響搖桿
+const JoystickMode = {
+    FLOATING: 'floating',
+    FIXED: 'fixed'
+};
+
+const DEFAULT_JOYSTICK_OPTIONS = {
+    mode: JoystickMode.FLOATING,
+    radius: 60, // 搖桿可推動的最大距離（px）
+    deadZone: 0.15 // 佔半徑的比例，內側視為靜止
+};
+
+// dx, dy 為相對原點的螢幕位移（y 往下為正）；超出半徑時夾在圓周上
+// 死區外的量值重新映射到 [0, 1]，推出死區時輸出從 0 連續增加
+function computeJoystickVector(dx, dy, radius, deadZone) {
+    const distance = Math.hypot(dx, dy);
+    if (distance === 0 || radius <= 0) {
+        return { x: 0, y: 0, magnitude: 0 };
+    }
+    const clamped = Math.min(distance, radius) / radius;
+    if (clamped <= deadZone) {
+        return { x: 0, y: 0, magnitude: 0 };
+    }
+    const magnitude = deadZone >= 1 ? 1 : (clamped - deadZone) / (1 - deadZone);
+    return {
+        x: (dx / distance) * magnitude,
+        y: dy === 0 ? 0 : (-dy / distance) * magnitude, // 避免 -0
+        magnitude
+    };
+}
+
+class VirtualJoystick {
+    constructor(container, options = {}) {
+        this.container = container;
+        this.options = { ...DEFAULT_JOYSTICK_OPTIONS, ...options };
+
+        this.activePointerId = null;
+        this.origin = { x: 0, y: 0 };
+        this.vector = { x: 0, y: 0 };
+
+        this.callbacks = {
+            onStart: null,
+            onMove: null,
+            onEnd: null
+        };
+
+        this.base = document.createElement('div');
+        this.base.className = 'joystickBase';
+        this.knob = document.createElement('div');
+        this.knob.className = 'joystickKnob';
+        this.base.appendChild(this.knob);
+        this.container.appendChild(this.base);
+        this.container.classList.add('joystick', `joystick-${this.options.mode}`);
+
+        this.handlePointerDown = this.handlePointerDown.bind(this);
+        this.handlePointerMove = this.handlePointerMove.bind(this);
+        this.handlePointerEnd = this.handlePointerEnd.bind(this);
+        this.release = this.release.bind(this);
+
+        this.container.addEventListener('pointerdown', this.handlePointerDown);
+        this.container.addEventListener('pointermove', this.handlePointerMove);
+        this.container.addEventListener('pointerup', this.handlePointerEnd);
+        this.container.addEventListener('pointercancel', this.handlePointerEnd);
+        this.container.addEventListener('lostpointercapture', this.handlePointerEnd);
+        // 切換 App 或頁面失焦時不會收到 pointerup，需要主動放開
+        window.addEventListener('blur', this.release);
+
+        this.applyOptions();
+    }
+
+    handlePointerDown(event) {
+        if (this.activePointerId !== null) return; // 已有手指在控制搖桿
+        event.preventDefault();
+
+        this.activePointerId = event.pointerId;
+        this.container.setPointerCapture?.(event.pointerId);
+
+        const rect = this.container.getBoundingClientRect();
+        if (this.options.mode === JoystickMode.FIXED) {
+            this.origin = { x: rect.left + rect.width / 2, y: rect.top + rect.height / 2 };
+        } else {
+            this.origin = { x: event.clientX, y: event.clientY };
+            this.base.style.left = `${event.clientX - rect.left}px`;
+            this.base.style.top = `${event.clientY - rect.top}px`;
+        }
+        this.base.classList.add('active');
+
+        if (this.callbacks.onStart) {
+            this.callbacks.onStart();
+        }
+        this.update(event.clientX, event.clientY);
+    }
+
+    handlePointerMove(event) {
+        if (event.pointerId !== this.activePointerId) return;
+        event.preventDefault();
+        this.update(event.clientX, event.clientY);
+    }
+
+    handlePointerEnd(event) {
+        if (event.pointerId !== this.activePointerId) return;
+        this.release();
+    }
+
+    update(clientX, clientY) {
+        const { radius, deadZone } = this.options;
+        const dx = clientX - this.origin.x;
+        const dy = clientY - this.origin.y;
+
+        // 把手最多移到半徑邊緣
+        const distance = Math.hypot(dx, dy);
+        const scale = distance > radius ? radius / distance : 1;
+        this.knob.style.transform = `translate(${dx * scale}px, ${dy * scale}px)`;
+
+        const { x, y } = computeJoystickVector(dx, dy, radius, deadZone);
+        this.setVector(x, y);
+    }
+
+    setVector(x, y) {
+        if (x === this.vector.x && y === this.vector.y) return;
+        this.vector = { x, y };
+        if (this.callbacks.onMove) {
+            this.callbacks.onMove({ ...this.vector });
+        }
+    }
+
+    // 放開搖桿：回到原點並送出一次 (0, 0)
+    release() {
+        if (this.activePointerId === null) return;
+        if (this.container.hasPointerCapture?.(this.activePointerId)) {
+            this.container.releasePointerCapture(this.activePointerId);
+        }
+        this.activePointerId = null;
+        this.knob.style.transform = '';
+        this.base.classList.remove('active');
+        this.resetBasePosition();
+        this.setVector(0, 0);
+
+        if (this.callbacks.onEnd) {
+            this.callbacks.onEnd();
+        }
+    }
+
+    isActive() {
+        return this.activePointerId !== null;
+    }
+
+    getVector() {
+        return { ...this.vector };
+    }
+
+    setOptions(newOptions) {
+        this.release();
+        this.container.classList.remove(`joystick-${this.options.mode}`);
+        this.options = { ...this.options, ...newOptions };
+        this.container.classList.add(`joystick-${this.options.mode}`);
+        this.applyOptions();
+    }
+
+    applyOptions() {
+        const size = `${this.options.radius * 2}px`;
+        this.base.style.width = size;
+        this.base.style.height = size;
+        this.resetBasePosition();
+    }
+
+    // 固定模式與浮動模式的待機位置都在觸控區中央
+    resetBasePosition() {
+        this.base.style.left = '50%';
+        this.base.style.top = '50%';
+    }
+
+    on(event, callback) {
+        const key = `on${event.charAt(0).toUpperCase() + event.slice(1)}`;
+        if (this.callbacks.hasOwnProperty(key)) {
+            this.callbacks[key] = callback;
+        }
+    }
+
+    destroy() {
+        this.release();
+        this.container.removeEventListener('pointerdown', this.handlePointerDown);
+        this.container.removeEventListener('pointermove', this.handlePointerMove);
+        this.container.removeEventListener('pointerup', this.handlePointerEnd);
+        this.container.removeEventListener('pointercancel', this.handlePointerEnd);
+        this.container.removeEventListener('lostpointercapture', this.handlePointerEnd);
+        window.removeEventListener('blur', this.release);
+        this.base.remove();
+    }
+}
+
+export { VirtualJoystick, JoystickMode, computeJoystickVector };
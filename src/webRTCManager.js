@@ -1,70 +1,98 @@
-// Helper for signaling message types (equivalent to C# enum)
-const SignalingMessageType = {
-  NEWPEER: "NEWPEER",
-  NEWPEERACK: "NEWPEERACK",
-  OFFER: "OFFER",
-  ANSWER: "ANSWER",
-  CANDIDATE: "CANDIDATE",
-  DISPOSE: "DISPOSE",
-  DATA: "DATA",
-  COMPLETE: "COMPLETE",
-  // Add any other types if used
+import { IceTransportPolicy, normalizeIceServers, normalizeIceTransportPolicy } from "./iceConfig.js";
+import { SignalingMessage, SignalingMessageType, SignalingFrameError, assertSignalingField, assertRoomId } from "./signalingMessage.js";
+
+// Data channel classes: discrete events go over the reliable channel,
+// high-rate stick/tilt input over the unordered channel without retransmits.
+const DataChannelClass = {
+  RELIABLE: "reliable",
+  REALTIME: "realtime",
 };
 
-// Helper to parse and create signaling messages
-class SignalingMessage {
-  constructor(type, senderPeerId, receiverPeerId, message, connectionCount, isVideoAudioSender) {
-    if (typeof type === "string" && arguments.length === 1) {
-      // Parse from string
-      const parts = type.split("|");
-      this.Type = parts[0];
-      this.SenderPeerId = parts[1];
-      this.ReceiverPeerId = parts[2];
-      this.Message = parts[3];
-      this.ConnectionCount = parts[4] ? parseInt(parts[4], 10) : 0;
-      this.IsVideoAudioSender = parts[5] ? parts[5].toLowerCase() === "true" : false;
-    } else {
-      // Create new message
-      this.Type = type;
-      this.SenderPeerId = senderPeerId;
-      this.ReceiverPeerId = receiverPeerId;
-      this.Message = message;
-      this.ConnectionCount = connectionCount;
-      this.IsVideoAudioSender = isVideoAudioSender;
-    }
-  }
+const REALTIME_CHANNEL_PREFIX = "realtimeChannel-";
 
-  toString() {
-    return `${this.Type}|${this.SenderPeerId}|${this.ReceiverPeerId}|${this.Message}|${this.ConnectionCount}|${this.IsVideoAudioSender}`;
-  }
-}
+// Candidates can arrive before the OFFER creates the peer connection or before setRemoteDescription completes
+const MAX_PENDING_CANDIDATES_PER_PEER = 100;
+
+const DEFAULT_RECONNECT_OPTIONS = {
+  enabled: true,
+  maxRetries: 8, // Retry budget per outage; 'gave-up' is reported once it is spent
+  baseDelayMs: 500,
+  maxDelayMs: 15000,
+  jitter: 0.5, // Fraction of the delay that is randomized
+};
+
+// WebSocket.OPEN; a literal so injected WebSocket implementations don't need the browser global
+const WEBSOCKET_OPEN = 1;
+
+const DEFAULT_ICE_RECOVERY_OPTIONS = {
+  disconnectedGraceMs: 3000, // 'disconnected' is often transient (Wi-Fi <-> cellular); wait before restarting ICE
+  failedTimeoutMs: 10000, // After 'failed', how long an ICE restart may take before the peer is cleaned up
+};
 
 class WebRTCManager {
-  constructor(localPeerId, stunServerAddress, uiConfig) {
+  // iceServers: a single STUN URL string (legacy) or an RTCIceServer[] with optional TURN username/credential
+  // options.iceTransportPolicy: 'all' (default) | 'relay'
+  // options.createWebSocket / createPeerConnection / document replace the browser globals,
+  // e.g. with the fakes in ./testing/fakeWebRTC.js to run the signaling flow in Node
+  // Throws SignalingFrameError when localPeerId, roomId or roomHostPeerId cannot be written into a signaling frame,
+  // rather than failing on the first send after connecting.
+  constructor(localPeerId, iceServers, uiConfig, options = {}) {
+    if (!localPeerId) {
+      throw new SignalingFrameError("localPeerId must not be empty", String(localPeerId ?? ""));
+    }
+    assertSignalingField("localPeerId", localPeerId);
+    assertRoomId(options.roomId);
+    assertSignalingField("roomHostPeerId", options.roomHostPeerId);
     this.localPeerId = localPeerId;
-    this.stunServerAddress = stunServerAddress;
+    this.iceServers = normalizeIceServers(iceServers);
+    this.iceTransportPolicy = normalizeIceTransportPolicy(options.iceTransportPolicy) ?? IceTransportPolicy.ALL;
     this.uiConfig = uiConfig; // { videoContainerId: 'videos', localVideoPlayerId: 'localVideo' }
+    this.reconnectOptions = { ...DEFAULT_RECONNECT_OPTIONS, ...options.reconnect };
+    this.iceRecoveryOptions = { ...DEFAULT_ICE_RECOVERY_OPTIONS, ...options.iceRecovery };
+    // Room scoping: only peers in the same room are meshed. Room-less frames are accepted from roomHostPeerId only,
+    // so a host that predates rooms can still be reached.
+    this.roomId = options.roomId || null;
+    this.roomHostPeerId = options.roomHostPeerId || null;
+    this.createWebSocket = options.createWebSocket ?? ((url) => new WebSocket(url));
+    this.createPeerConnection = options.createPeerConnection ?? ((config) => new RTCPeerConnection(config));
+    this.document = options.document ?? globalThis.document;
 
     // Event Callbacks
-    this.onWebSocketConnection = null; // (state: 'open' | 'closed' | 'error') => {}
+    // state: 'open' | 'closed' | 'error' | 'reconnecting' | 'reconnected' | 'gave-up'
+    // info: { attempt: number, delayMs?: number } for the reconnect states
+    this.onWebSocketConnection = null; // (state: string, info?: object) => {}
     this.onWebRTCConnection = null; // (peerId: string) => {}
     this.onDataChannelConnection = null; // (peerId: string) => {}
-    this.onDataChannelMessageReceived = null; // (message: string, peerId: string) => {}
+    this.onDataChannelMessageReceived = null; // (message: string | ArrayBuffer, peerId: string, channelClass: 'reliable' | 'realtime') => {}
     this.onVideoStreamEstablished = null; // (peerId: string, stream: MediaStream) => {}
     this.onAudioStreamEstablished = null; // (peerId: string, stream: MediaStream) => {}
+    this.onPeerDisconnected = null; // (peerId: string) => {}
+    this.onSignalingError = null; // (error: SignalingFrameError, frame: string) => {}
+    this.onIceConnectionPhase = null; // (peerId: string, phase: 'disconnected' | 'restarting' | 'recovered' | 'failed' | 'closed') => {}
 
     this.isWebSocketConnected = false;
     this.isWebSocketConnectionInProgress = false;
 
     this.ws = null;
+    this.webSocketUrl = null;
+    this.isWebSocketClosingByUser = false;
+    this.reconnectAttempt = 0;
+    this.reconnectTimer = null;
     this.isLocalPeerVideoAudioSender = false;
     this.isLocalPeerVideoAudioReceiver = false;
 
     this.peerConnections = new Map(); // peerId -> RTCPeerConnection
     this.senderDataChannels = new Map(); // peerId -> RTCDataChannel
     this.receiverDataChannels = new Map(); // peerId -> RTCDataChannel
+    this.realtimeSenderDataChannels = new Map(); // peerId -> RTCDataChannel (ordered: false, maxRetransmits: 0)
+    this.realtimeReceiverDataChannels = new Map(); // peerId -> RTCDataChannel
     this.videoTrackSenders = new Map(); // peerId -> RTCRtpSender
     this.audioTrackSenders = new Map(); // peerId -> RTCRtpSender
+    this.iceRecoveries = new Map(); // peerId -> { graceTimer, failedTimer }
+    // peerId -> { makingOffer, ignoreOffer, isSettingRemoteAnswerPending, pendingIceRestart, isOfferDeferred, isOfferUnsent }
+    this.negotiations = new Map();
+    this.pendingCandidates = new Map(); // peerId -> RTCIceCandidateInit[] waiting for a remote description
+    this.candidateStats = new Map(); // peerId -> { queued, flushed, dropped }
 
     // For browser: peerId -> { videoElement: HTMLVideoElement, audioElement: HTMLAudioElement }
     this.mediaElements = new Map();
@@ -72,37 +100,54 @@ class WebRTCManager {
   }
 
   async connect(webSocketUrl, isVideoAudioSender, isVideoAudioReceiver) {
-    if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+    if (this.ws && this.ws.readyState === WEBSOCKET_OPEN) {
       console.warn("WebSocket already connected.");
       return;
     }
-    if (this.isWebSocketConnectionInProgress) {
+    if (this.isWebSocketConnectionInProgress || this.reconnectTimer) {
       console.warn("WebSocket connection attempt already in progress.");
       return;
     }
 
-    this.isWebSocketConnectionInProgress = true;
     this.isLocalPeerVideoAudioSender = isVideoAudioSender;
     this.isLocalPeerVideoAudioReceiver = isVideoAudioReceiver;
+    this.webSocketUrl = webSocketUrl;
+    this.isWebSocketClosingByUser = false;
+    this.reconnectAttempt = 0;
 
-    console.log(`Attempting to connect to WebSocket: ${webSocketUrl}`);
-    this.ws = new WebSocket(webSocketUrl);
+    return this._openWebSocket();
+  }
+
+  _openWebSocket() {
+    this.isWebSocketConnectionInProgress = true;
+    console.log(`Attempting to connect to WebSocket: ${this.webSocketUrl}`);
+    const ws = this.createWebSocket(this.webSocketUrl);
+    this.ws = ws;
+    let wasOpen = false;
 
     return new Promise((resolve, reject) => {
-      this.ws.onopen = () => {
+      ws.onopen = () => {
         console.log("WebSocket connection opened!");
+        wasOpen = true;
         this.isWebSocketConnected = true;
         this.isWebSocketConnectionInProgress = false;
-        this.onWebSocketConnection?.("open");
+        if (this.reconnectAttempt > 0) {
+          this.onWebSocketConnection?.("reconnected", { attempt: this.reconnectAttempt });
+          this.reconnectAttempt = 0;
+        } else {
+          this.onWebSocketConnection?.("open");
+        }
+        // Re-announcing the same localPeerId lets the other peers keep their existing peer connections
         this.sendWebSocketMessage(SignalingMessageType.NEWPEER, this.localPeerId, "ALL", `New peer ${this.localPeerId}`);
+        this._resumeDeferredOffers();
         resolve();
       };
 
-      this.ws.onmessage = (event) => {
+      ws.onmessage = (event) => {
         this.handleMessage(event.data);
       };
 
-      this.ws.onerror = (error) => {
+      ws.onerror = (error) => {
         console.error("WebSocket Error:", error);
         this.isWebSocketConnectionInProgress = false;
         // No onWebSocketConnection for 'error' in original, but good practice
@@ -110,30 +155,66 @@ class WebRTCManager {
         reject(error);
       };
 
-      this.ws.onclose = (event) => {
+      ws.onclose = (event) => {
         console.log("WebSocket connection closed!", event.code, event.reason);
         this.isWebSocketConnected = false;
         this.isWebSocketConnectionInProgress = false;
-        this.onWebSocketConnection?.("closed");
-        // Potentially attempt to reconnect or clean up WebRTC connections
-        this.cleanupAllPeers();
         reject(new Error(`WebSocket closed: ${event.code} ${event.reason}`));
+
+        // A failed first attempt is reported to the caller; only a dropped session or a failed retry reconnects
+        const shouldReconnect =
+          !this.isWebSocketClosingByUser && this.reconnectOptions.enabled && (wasOpen || this.reconnectAttempt > 0);
+        if (shouldReconnect) {
+          // Peer connections are kept: ICE may still be up while signaling is away
+          this._scheduleReconnect();
+        } else {
+          this.onWebSocketConnection?.("closed");
+          this.cleanupAllPeers();
+        }
       };
     });
   }
 
+  _scheduleReconnect() {
+    if (this.reconnectAttempt >= this.reconnectOptions.maxRetries) {
+      console.error(`WebSocket reconnect gave up after ${this.reconnectAttempt} attempts.`);
+      this.onWebSocketConnection?.("gave-up", { attempt: this.reconnectAttempt });
+      this.reconnectAttempt = 0;
+      this.cleanupAllPeers();
+      return;
+    }
+
+    const delayMs = this._getReconnectDelay(this.reconnectAttempt);
+    this.reconnectAttempt++;
+    console.log(`WebSocket reconnect attempt ${this.reconnectAttempt} in ${Math.round(delayMs)} ms.`);
+    this.onWebSocketConnection?.("reconnecting", { attempt: this.reconnectAttempt, delayMs });
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      // Failures surface through onclose, which schedules the next attempt
+      this._openWebSocket().catch(() => {});
+    }, delayMs);
+  }
+
+  // Exponential backoff capped at maxDelayMs, with part of the delay randomized so clients don't retry in lockstep
+  _getReconnectDelay(attempt) {
+    const { baseDelayMs, maxDelayMs, jitter } = this.reconnectOptions;
+    const cappedDelay = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+    return cappedDelay * (1 - jitter * Math.random());
+  }
+
   _setupPeerConnection(peerId) {
     if (this.peerConnections.has(peerId)) {
       console.warn(`Peer connection for ${peerId} already exists.`);
       return this.peerConnections.get(peerId);
     }
 
-    const config = {};
-    if (this.stunServerAddress) {
-      config.iceServers = [{ urls: this.stunServerAddress }];
+    const config = { iceTransportPolicy: this.iceTransportPolicy };
+    if (this.iceServers.length > 0) {
+      config.iceServers = this.iceServers;
     }
 
-    const pc = new RTCPeerConnection(config);
+    const pc = this.createPeerConnection(config);
     this.peerConnections.set(peerId, pc);
     this._setupPeerConnectionEventHandlers(peerId, pc);
 
@@ -161,8 +242,10 @@ class WebRTCManager {
 
     pc.oniceconnectionstatechange = () => {
       console.log(`${this.localPeerId} ICE connection state with ${peerId} changed to ${pc.iceConnectionState}`);
+      if (this.peerConnections.get(peerId) !== pc) return; // Stale event from a replaced connection
       if (pc.iceConnectionState === "connected" || pc.iceConnectionState === "completed") {
         // This is a good point to consider the WebRTC connection established
+        this._finishIceRecovery(peerId);
         this.onWebRTCConnection?.(peerId);
         // In the original C#, "COMPLETE" was sent. Let's keep that for consistency.
         // It was sent by the offering side.
@@ -172,8 +255,13 @@ class WebRTCManager {
         // For simplicity, maybe both sides can consider it connected.
         // The original C# sent this from the *offering* side upon 'completed'
       }
-      if (pc.iceConnectionState === "failed" || pc.iceConnectionState === "disconnected" || pc.iceConnectionState === "closed") {
-        console.warn(`ICE connection with ${peerId} ${pc.iceConnectionState}. Cleaning up.`);
+      if (pc.iceConnectionState === "disconnected") {
+        this._handleIceDisconnected(peerId, pc);
+      } else if (pc.iceConnectionState === "failed") {
+        this._handleIceFailed(peerId, pc);
+      } else if (pc.iceConnectionState === "closed") {
+        console.warn(`ICE connection with ${peerId} closed. Cleaning up.`);
+        this.onIceConnectionPhase?.(peerId, "closed");
         this._cleanupPeer(peerId);
       }
     };
@@ -181,6 +269,11 @@ class WebRTCManager {
     pc.ondatachannel = (event) => {
       console.log(`Data channel received from ${peerId}`);
       const receiveChannel = event.channel;
+      receiveChannel.binaryType = "arraybuffer"; // Binary control frames are decoded from ArrayBuffer
+      if (receiveChannel.label.startsWith(REALTIME_CHANNEL_PREFIX)) {
+        this._setupRealtimeReceiverChannel(peerId, receiveChannel);
+        return;
+      }
       this.receiverDataChannels.set(peerId, receiveChannel);
 
       receiveChannel.onopen = () => {
@@ -196,7 +289,7 @@ class WebRTCManager {
       };
       receiveChannel.onmessage = (ev) => {
         console.log(`${this.localPeerId} received on ${peerId} receiverDataChannel: ${ev.data}`);
-        this.onDataChannelMessageReceived?.(ev.data, peerId);
+        this.onDataChannelMessageReceived?.(ev.data, peerId, DataChannelClass.RELIABLE);
       };
       receiveChannel.onclose = () => {
         console.log(`ReceiverDataChannel for ${peerId} closed on ${this.localPeerId}.`);
@@ -211,6 +304,7 @@ class WebRTCManager {
     // The original code creates it immediately.
     if (!this.senderDataChannels.has(peerId)) {
       const senderChannel = pc.createDataChannel(`dataChannel-${peerId}`);
+      senderChannel.binaryType = "arraybuffer";
       this.senderDataChannels.set(peerId, senderChannel);
       senderChannel.onopen = () => {
         console.log(`SenderDataChannel to ${peerId} opened on ${this.localPeerId}.`);
@@ -222,7 +316,7 @@ class WebRTCManager {
         // Sender channels usually don't receive messages if it's a unidirectional setup from its perspective
         // but RTCDataChannel is bi-directional by default.
         console.log(`${this.localPeerId} received on ${peerId} senderDataChannel (unexpected for typical use): ${ev.data}`);
-        this.onDataChannelMessageReceived?.(ev.data, peerId);
+        this.onDataChannelMessageReceived?.(ev.data, peerId, DataChannelClass.RELIABLE);
       };
       senderChannel.onclose = () => {
         console.log(`SenderDataChannel to ${peerId} closed on ${this.localPeerId}.`);
@@ -234,6 +328,26 @@ class WebRTCManager {
       console.log(`SenderDataChannel for ${peerId} created on ${this.localPeerId}.`);
     }
 
+    // Realtime sender channel: a lost input packet must not stall the ones behind it
+    if (!this.realtimeSenderDataChannels.has(peerId)) {
+      const realtimeChannel = pc.createDataChannel(`${REALTIME_CHANNEL_PREFIX}${peerId}`, { ordered: false, maxRetransmits: 0 });
+      realtimeChannel.binaryType = "arraybuffer";
+      this.realtimeSenderDataChannels.set(peerId, realtimeChannel);
+      realtimeChannel.onopen = () => {
+        console.log(`RealtimeSenderDataChannel to ${peerId} opened on ${this.localPeerId}.`);
+      };
+      realtimeChannel.onmessage = (ev) => {
+        this.onDataChannelMessageReceived?.(ev.data, peerId, DataChannelClass.REALTIME);
+      };
+      realtimeChannel.onclose = () => {
+        console.log(`RealtimeSenderDataChannel to ${peerId} closed on ${this.localPeerId}.`);
+        this.realtimeSenderDataChannels.delete(peerId);
+      };
+      realtimeChannel.onerror = (err) => {
+        console.error(`RealtimeSenderDataChannel to ${peerId} error on ${this.localPeerId}:`, err);
+      };
+    }
+
     pc.ontrack = (event) => {
       console.log(`Track received from ${peerId}:`, event.track.kind);
 
@@ -312,31 +426,134 @@ class WebRTCManager {
     };
 
     pc.onnegotiationneeded = async () => {
-      // This often fires multiple times or at sensitive moments.
-      // The original C# code checked pc.signalingState !== RTCSignalingState.Stable
-      // In JS, it's pc.signalingState !== 'stable'
-      // It also deferred this to a coroutine.
-      if (pc.signalingState !== "stable") {
-        // Only if stable, means we are likely the initiator
-        console.log(`Negotiation needed for ${peerId}. Creating offer.`);
-        try {
-          await this._createAndSendOffer(peerId);
-        } catch (error) {
-          console.error(`Error during negotiationneeded for ${peerId}:`, error);
-        }
-      } else {
-        console.log(`Negotiation needed for ${peerId}, but signaling state is ${pc.signalingState}. Skipping offer creation.`);
+      // Perfect negotiation: always offer; collisions with a remote offer are resolved in _handleOffer
+      console.log(`Negotiation needed for ${peerId}. Creating offer.`);
+      await this._createAndSendOffer(peerId);
+    };
+
+    pc.onsignalingstatechange = () => {
+      const negotiation = this.negotiations.get(peerId);
+      if (pc.signalingState === "stable" && negotiation?.pendingIceRestart) {
+        negotiation.pendingIceRestart = false;
+        this._createAndSendOffer(peerId, { iceRestart: true });
       }
     };
   }
 
+  // Perfect negotiation roles: both sides compare the same two ids, so exactly one of them is polite.
+  // The polite peer rolls back its own offer on collision; the impolite peer ignores the incoming one.
+  _isPolitePeer(remotePeerId) {
+    return this.localPeerId < remotePeerId;
+  }
+
+  _getNegotiation(peerId) {
+    if (!this.negotiations.has(peerId)) {
+      this.negotiations.set(peerId, {
+        makingOffer: false,
+        ignoreOffer: false,
+        isSettingRemoteAnswerPending: false,
+        pendingIceRestart: false,
+        isOfferDeferred: false, // An offer (possibly an ICE restart) was needed while signaling was down
+        isOfferUnsent: false, // The local offer was set but could not be sent; re-sent when signaling is back
+      });
+    }
+    return this.negotiations.get(peerId);
+  }
+
+  // 'disconnected' may recover on its own; only restart ICE if it persists past the grace period
+  _handleIceDisconnected(peerId, pc) {
+    const recovery = this._getIceRecovery(peerId);
+    if (recovery.graceTimer || recovery.failedTimer) return;
+
+    console.warn(`ICE connection with ${peerId} disconnected. Waiting ${this.iceRecoveryOptions.disconnectedGraceMs} ms before restarting ICE.`);
+    this.onIceConnectionPhase?.(peerId, "disconnected");
+    recovery.graceTimer = setTimeout(() => {
+      recovery.graceTimer = null;
+      if (pc.iceConnectionState === "disconnected") {
+        this._restartIce(peerId);
+      }
+    }, this.iceRecoveryOptions.disconnectedGraceMs);
+  }
+
+  // 'failed' never recovers without an ICE restart; give the restart failedTimeoutMs before cleaning up
+  _handleIceFailed(peerId, pc) {
+    const recovery = this._getIceRecovery(peerId);
+    clearTimeout(recovery.graceTimer);
+    recovery.graceTimer = null;
+    if (recovery.failedTimer) return;
+
+    console.warn(`ICE connection with ${peerId} failed. Restarting ICE.`);
+    this.onIceConnectionPhase?.(peerId, "failed");
+    recovery.failedTimer = setTimeout(() => {
+      recovery.failedTimer = null;
+      if (this.peerConnections.get(peerId) === pc && pc.iceConnectionState !== "connected" && pc.iceConnectionState !== "completed") {
+        console.warn(`ICE restart with ${peerId} did not recover within ${this.iceRecoveryOptions.failedTimeoutMs} ms. Cleaning up.`);
+        this.onIceConnectionPhase?.(peerId, "closed");
+        this._cleanupPeer(peerId);
+      }
+    }, this.iceRecoveryOptions.failedTimeoutMs);
+    this._restartIce(peerId);
+  }
+
+  _restartIce(peerId) {
+    const pc = this.peerConnections.get(peerId);
+    if (!pc) return;
+
+    console.log(`Restarting ICE with ${peerId}.`);
+    this.onIceConnectionPhase?.(peerId, "restarting");
+    // New ICE credentials are exchanged through the regular OFFER/ANSWER signaling
+    if (typeof pc.restartIce === "function") {
+      pc.restartIce(); // Fires negotiationneeded; the next offer carries the new credentials
+    } else {
+      this._createAndSendOffer(peerId, { iceRestart: true });
+    }
+  }
+
+  _getIceRecovery(peerId) {
+    if (!this.iceRecoveries.has(peerId)) {
+      this.iceRecoveries.set(peerId, { graceTimer: null, failedTimer: null });
+    }
+    return this.iceRecoveries.get(peerId);
+  }
+
+  _finishIceRecovery(peerId) {
+    const recovery = this.iceRecoveries.get(peerId);
+    if (!recovery) return;
+    clearTimeout(recovery.graceTimer);
+    clearTimeout(recovery.failedTimer);
+    this.iceRecoveries.delete(peerId);
+    console.log(`ICE connection with ${peerId} recovered.`);
+    this.onIceConnectionPhase?.(peerId, "recovered");
+  }
+
+  _clearIceRecovery(peerId) {
+    const recovery = this.iceRecoveries.get(peerId);
+    if (!recovery) return;
+    clearTimeout(recovery.graceTimer);
+    clearTimeout(recovery.failedTimer);
+    this.iceRecoveries.delete(peerId);
+  }
+
+  // data: a string frame, or a Blob when the server sends binary frames
   async handleMessage(data) {
-    const text = await data.text();
+    const text = typeof data === "string" ? data : await data.text();
     console.log(`Received WebSocket message: ${text}`);
-    const signalingMessage = new SignalingMessage(text);
+    let signalingMessage;
+    try {
+      signalingMessage = SignalingMessage.parse(text);
+    } catch (error) {
+      console.error(`Dropping malformed signaling frame: ${error.message}`, text);
+      this.onSignalingError?.(error, text);
+      return;
+    }
 
     const { Type, SenderPeerId, ReceiverPeerId, Message, ConnectionCount, IsVideoAudioSender } = signalingMessage;
 
+    if (!this._isMessageInRoom(signalingMessage)) {
+      // console.log(`Ignoring ${Type} from ${SenderPeerId} in room '${signalingMessage.RoomId}'.`);
+      return;
+    }
+
     // Ensure peerId is not our own ID before processing most messages
     if (SenderPeerId === this.localPeerId && Type !== SignalingMessageType.COMPLETE && Type !== SignalingMessageType.DATA) {
       // console.log("Ignoring message from self (unless it's a specific type like COMPLETE/DATA directed to self).");
@@ -368,45 +585,16 @@ class WebRTCManager {
           if (IsVideoAudioSender && this.isLocalPeerVideoAudioReceiver) {
             this._createNewPeerMediaReceivingResources(SenderPeerId);
           }
-          const pc = this._setupPeerConnection(SenderPeerId);
+          this._setupPeerConnection(SenderPeerId);
           console.log(`NEWPEERACK: Created new peerconnection ${SenderPeerId} on peer ${this.localPeerId}`);
-
-          // The original C# logic had `connectionGameObject.ConnectWebRTC();`
-          // which translated to `InstantiateWebRTC` which called `CreateOffer`.
-          // This was triggered when `signalingMessage.ConnectionCount == peerConnections.Count`.
-          // This implies a "fully meshed" or "all peers aware" state before starting offers.
-          // Let's try to initiate offer if this ACK completes the expected set.
-          // Note: ConnectionCount in the message is from *that* sender's perspective.
-          // We need a more robust way to decide "everyone is here".
-          // For now, let's assume if an ACK comes from a new peer, and we are supposed to send, we can make an offer.
-          // This might lead to multiple offers if not careful.
-          // The original "InstantiateWebRTC" called CreateOffer for *all* connections.
-          // This logic is best handled by the application layer deciding when to call `initiateOfferToAll` or similar.
         }
-        // Original check: if (signalingMessage.ConnectionCount == peerConnections.Count)
-        // This is tricky because ConnectionCount is from the sender of NEWPEERACK.
-        // Perhaps if *our* peerConnections.size matches an expected number of peers?
-        // Let's simplify: the offering can be triggered manually or after a certain number of peers.
-        // For this direct translation, the `connectionGameObject.ConnectWebRTC()` implies starting the offer process.
-        // The `CreateOffer` was called for *all* peers in the original Unity code.
-        // I'll provide a method `initiateOffersToAllPeers` that can be called by the app.
-        // The original logic:
-        // if (signalingMessage.ConnectionCount == peerConnections.Count) {
-        //    connectionGameObject.ConnectWebRTC(); // -> StartCoroutine(CreateOffer()) for all peers
-        // }
-        // This seems like the role of the "first" peer or a peer that detects all others are present.
-        // This is often a source of race conditions. A simpler model is:
-        // Peer A joins. Peer B joins. B sends NEWPEER. A sends NEWPEERACK to B. A also sends NEWPEER. B sends NEWPEERACK to A.
-        // At this point, A knows B, B knows A. They can start negotiating.
-        // The `onnegotiationneeded` event is often a better trigger for offers if handled carefully.
-
-        // Let's assume for now that if an ACK arrives for a new peer, and we are a sender,
-        // we might need to create an offer to them if `onnegotiationneeded` doesn't fire appropriately.
+
+        // The original C# started offers here (ConnectWebRTC -> CreateOffer). negotiationneeded usually beats us to it;
+        // _createAndSendOffer coalesces with an offer already in flight and glare is resolved by perfect negotiation.
         if (this.isLocalPeerVideoAudioSender && this.peerConnections.has(SenderPeerId)) {
-          // Check if an offer is already in progress or if connection is established
           const pc = this.peerConnections.get(SenderPeerId);
-          if (pc && pc.signalingState === "stable") {
-            // Only if no negotiation is ongoing
+          const hasNegotiated = pc.localDescription || pc.remoteDescription;
+          if (!hasNegotiated) {
             console.log(`Considering offer to ${SenderPeerId} after NEWPEERACK`);
             await this._createAndSendOffer(SenderPeerId);
           }
@@ -436,14 +624,8 @@ class WebRTCManager {
 
       case SignalingMessageType.CANDIDATE:
         if (ReceiverPeerId === this.localPeerId || ReceiverPeerId === "ALL") {
-          // Or check if candidate is for a known peer
-          // Ensure the peer connection exists, though it should if an offer/answer exchange happened.
-          if (!this.peerConnections.has(SenderPeerId)) {
-            console.warn(`Received candidate from ${SenderPeerId} but no peer connection exists. Might be late.`);
-            // Optionally, queue candidate or set up PC if it makes sense for your flow
-          } else {
-            await this._handleCandidate(SenderPeerId, Message);
-          }
+          // Candidates that beat the OFFER are queued until the peer connection and remote description exist
+          await this._handleCandidate(SenderPeerId, Message);
         }
         break;
 
@@ -475,11 +657,39 @@ class WebRTCManager {
         break;
 
       default:
-        console.log(`Received unknown or unhandled message type '${Type}' from ${SenderPeerId}: ${data}`);
+        console.log(`Received unknown or unhandled message type '${Type}' from ${SenderPeerId}: ${text}`);
         break;
     }
   }
 
+  _setupRealtimeReceiverChannel(peerId, channel) {
+    this.realtimeReceiverDataChannels.set(peerId, channel);
+    channel.onopen = () => {
+      console.log(`RealtimeReceiverDataChannel for ${peerId} opened on ${this.localPeerId}.`);
+    };
+    // High-rate input: not logged per message
+    channel.onmessage = (ev) => {
+      this.onDataChannelMessageReceived?.(ev.data, peerId, DataChannelClass.REALTIME);
+    };
+    channel.onclose = () => {
+      console.log(`RealtimeReceiverDataChannel for ${peerId} closed on ${this.localPeerId}.`);
+      this.realtimeReceiverDataChannels.delete(peerId);
+    };
+    channel.onerror = (err) => {
+      console.error(`RealtimeReceiverDataChannel for ${peerId} error on ${this.localPeerId}:`, err);
+    };
+  }
+
+  _isMessageInRoom({ RoomId, SenderPeerId }) {
+    if (!this.roomId) {
+      return !RoomId;
+    }
+    if (RoomId) {
+      return RoomId === this.roomId;
+    }
+    return SenderPeerId === this.roomHostPeerId;
+  }
+
   _createNewPeerMediaReceivingResources(peerId) {
     // Check if we already have a bundle in our map
     if (this.mediaElements.has(peerId)) {
@@ -490,7 +700,7 @@ class WebRTCManager {
       // return existingBundle; // If you want to prevent re-creation, but ontrack might need to ensure srcObject
     }
 
-    const videoContainer = this.uiConfig?.videoContainerId ? document.getElementById(this.uiConfig.videoContainerId) : document.body;
+    const videoContainer = this.uiConfig?.videoContainerId ? this.document.getElementById(this.uiConfig.videoContainerId) : this.document.body;
     if (!videoContainer) {
       console.error("[WebRTCManager] Video container not found. Cannot create media elements.");
       // Remove from map if it was somehow partially set
@@ -507,7 +717,7 @@ class WebRTCManager {
 
     const peerElements = {};
 
-    const videoElement = document.createElement("video");
+    const videoElement = this.document.createElement("video");
     videoElement.id = `video-${peerId}`;
     videoElement.autoplay = true;
     videoElement.playsinline = true; // Important for mobile browsers
@@ -521,7 +731,7 @@ class WebRTCManager {
 
     // We'll primarily use the video element for both audio and video tracks from the same peer.
     // A separate audio element is often not needed unless you have specific use cases.
-    const audioElement = document.createElement("audio");
+    const audioElement = this.document.createElement("audio");
     audioElement.id = `audio-${peerId}`;
     audioElement.autoplay = true;
     audioElement.setAttribute("data-peer-id", peerId);
@@ -533,31 +743,84 @@ class WebRTCManager {
     return peerElements;
   }
 
-  async _createAndSendOffer(peerId) {
+  // Safe to call from anywhere: an offer already in flight or an exchange in progress covers the current state,
+  // and the browser fires negotiationneeded again if anything changed meanwhile. Only ICE restarts are deferred.
+  // While signaling is down no offer is created (its answer could never arrive); it is made on reconnect instead.
+  async _createAndSendOffer(peerId, offerOptions = {}) {
     const pc = this.peerConnections.get(peerId);
     if (!pc) {
       console.error(`Cannot create offer for ${peerId}, no peer connection.`);
       return;
     }
-    if (pc.signalingState !== "stable") {
-      console.warn(`Cannot create offer for ${peerId}, signaling state is ${pc.signalingState}. Current negotiation might be in progress by remote.`);
+    const negotiation = this._getNegotiation(peerId);
+    if (negotiation.makingOffer || pc.signalingState !== "stable") {
+      if (offerOptions.iceRestart) {
+        negotiation.pendingIceRestart = true;
+      }
+      console.log(`Offer for ${peerId} skipped, negotiation in progress (signaling state ${pc.signalingState}).`);
+      return;
+    }
+    if (!this._isWebSocketOpen()) {
+      negotiation.isOfferDeferred = true;
+      if (offerOptions.iceRestart) {
+        negotiation.pendingIceRestart = true;
+      }
+      console.warn(`Offer for ${peerId} deferred until signaling reconnects.`);
       return;
     }
 
     console.log(`Creating offer for ${peerId}`);
-    await pc
-      .createOffer()
-      .then((offer) => pc.setLocalDescription(offer))
-      .then(() => {
-        this.sendWebSocketMessage(
-          SignalingMessageType.OFFER,
-          this.localPeerId,
-          peerId,
-          JSON.stringify(pc.localDescription) // Standard SDP format
-        );
-        console.log(`Offer sent to ${peerId}`);
-      })
-      .catch((error) => console.error(`Failed to create or send offer for ${peerId}:`, error));
+    try {
+      negotiation.makingOffer = true;
+      const offer = await pc.createOffer(offerOptions);
+      if (pc.signalingState !== "stable") {
+        // A remote offer was accepted while ours was being created
+        console.log(`Discarding offer for ${peerId}, signaling state changed to ${pc.signalingState}.`);
+        return;
+      }
+      await pc.setLocalDescription(offer);
+      if (!this._sendOffer(peerId, pc)) {
+        // Signaling dropped while the offer was being made
+        negotiation.isOfferUnsent = true;
+        return;
+      }
+      console.log(`Offer sent to ${peerId}`);
+    } catch (error) {
+      console.error(`Failed to create or send offer for ${peerId}:`, error);
+    } finally {
+      negotiation.makingOffer = false;
+    }
+  }
+
+  _sendOffer(peerId, pc) {
+    return this.sendWebSocketMessage(
+      SignalingMessageType.OFFER,
+      this.localPeerId,
+      peerId,
+      JSON.stringify(pc.localDescription) // Standard SDP format
+    );
+  }
+
+  // Called when signaling (re)opens: sends the offers that could not go out while it was down
+  _resumeDeferredOffers() {
+    this.negotiations.forEach((negotiation, peerId) => {
+      const pc = this.peerConnections.get(peerId);
+      if (!pc) return;
+      if (negotiation.isOfferUnsent) {
+        negotiation.isOfferUnsent = false;
+        if (pc.signalingState === "have-local-offer") {
+          console.log(`Re-sending offer to ${peerId} after signaling reconnected.`);
+          this._sendOffer(peerId, pc);
+        }
+      }
+      if (negotiation.isOfferDeferred) {
+        negotiation.isOfferDeferred = false;
+        const iceRestart = negotiation.pendingIceRestart;
+        negotiation.pendingIceRestart = false;
+        console.log(`Sending deferred ${iceRestart ? "ICE restart " : ""}offer to ${peerId}.`);
+        this._createAndSendOffer(peerId, iceRestart ? { iceRestart: true } : {});
+      }
+    });
   }
 
   async _handleOffer(senderPeerId, offerJson) {
@@ -568,18 +831,31 @@ class WebRTCManager {
       return;
     }
 
-    const offerDesc = JSON.parse(offerJson);
-    console.log(`OFFERDESC = ${offerJson}`);
-    await pc
-      .setRemoteDescription(new RTCSessionDescription(offerDesc))
-      .then(() => console.log(`Remote description (offer) set for ${senderPeerId}. Creating answer.`))
-      .then(() => pc.createAnswer())
-      .then((answer) => pc.setLocalDescription(answer))
-      .then(() => {
-        this.sendWebSocketMessage(SignalingMessageType.ANSWER, this.localPeerId, senderPeerId, JSON.stringify(pc.localDescription));
-        console.log(`Answer sent to ${senderPeerId}`);
-      })
-      .catch((error) => console.error(`Error handling offer from ${senderPeerId}:`, error));
+    const negotiation = this._getNegotiation(senderPeerId);
+    const readyForOffer = !negotiation.makingOffer && (pc.signalingState === "stable" || negotiation.isSettingRemoteAnswerPending);
+    const offerCollision = !readyForOffer;
+    negotiation.ignoreOffer = offerCollision && !this._isPolitePeer(senderPeerId);
+    if (negotiation.ignoreOffer) {
+      console.log(`Offer collision with ${senderPeerId}: impolite peer, ignoring remote offer.`);
+      return;
+    }
+
+    try {
+      const offerDesc = JSON.parse(offerJson);
+      if (offerCollision && pc.signalingState === "have-local-offer") {
+        console.log(`Offer collision with ${senderPeerId}: polite peer, rolling back local offer.`);
+        await pc.setLocalDescription({ type: "rollback" });
+      }
+      await pc.setRemoteDescription(offerDesc);
+      console.log(`Remote description (offer) set for ${senderPeerId}. Creating answer.`);
+      await this._flushPendingCandidates(senderPeerId);
+      const answer = await pc.createAnswer();
+      await pc.setLocalDescription(answer);
+      this.sendWebSocketMessage(SignalingMessageType.ANSWER, this.localPeerId, senderPeerId, JSON.stringify(pc.localDescription));
+      console.log(`Answer sent to ${senderPeerId}`);
+    } catch (error) {
+      console.error(`Error handling offer from ${senderPeerId}:`, error);
+    }
   }
 
   async _handleAnswer(senderPeerId, answerJson) {
@@ -590,10 +866,19 @@ class WebRTCManager {
       return;
     }
 
+    if (pc.signalingState !== "have-local-offer") {
+      // Answer to an offer we rolled back after a collision
+      console.warn(`Ignoring ANSWER from ${senderPeerId}, signaling state is ${pc.signalingState}.`);
+      return;
+    }
+
+    const negotiation = this._getNegotiation(senderPeerId);
     try {
       const answerDesc = JSON.parse(answerJson);
-      await pc.setRemoteDescription(new RTCSessionDescription(answerDesc));
+      negotiation.isSettingRemoteAnswerPending = true;
+      await pc.setRemoteDescription(answerDesc);
       console.log(`Remote description (answer) set for ${senderPeerId}. Connection should establish.`);
+      await this._flushPendingCandidates(senderPeerId);
 
       // In C#, there was a "COMPLETE" message sent from offerer when its ICE was "Completed".
       // If this side (answerer) reaches 'completed', it can also inform the other side.
@@ -621,34 +906,95 @@ class WebRTCManager {
       // This is tricky. For now, `onWebRTCConnection` callback is the primary local indicator.
     } catch (error) {
       console.error(`Error handling answer from ${senderPeerId}:`, error);
+    } finally {
+      negotiation.isSettingRemoteAnswerPending = false;
     }
   }
 
   async _handleCandidate(senderPeerId, candidateJson) {
     // console.log(`${this.localPeerId} got CANDIDATE from ${senderPeerId}: ${candidateJson}`);
-    const pc = this.peerConnections.get(senderPeerId);
-    if (!pc) {
-      console.warn(`No peer connection for ${senderPeerId} to add ICE candidate. Candidate might be early or PC closed.`);
+    let candidateInit;
+    try {
+      candidateInit = JSON.parse(candidateJson);
+    } catch (error) {
+      console.error(`Malformed ICE candidate from ${senderPeerId}:`, error, candidateJson);
+      this._getCandidateStats(senderPeerId).dropped++;
       return;
     }
-    // It's possible setRemoteDescription hasn't completed yet.
-    // RTCPeerConnection.addIceCandidate will queue candidates if needed.
-    if (pc.remoteDescription == null) {
-      console.warn(`Remote description for ${senderPeerId} is not set yet. ICE candidate will be queued.`);
+
+    const pc = this.peerConnections.get(senderPeerId);
+    if (!pc || pc.remoteDescription == null) {
+      this._queueCandidate(senderPeerId, candidateInit);
+      return;
     }
+    await this._addIceCandidate(senderPeerId, pc, candidateInit);
+  }
 
+  // Returns false when the candidate was rejected; rejected candidates count as dropped
+  async _addIceCandidate(senderPeerId, pc, candidateInit) {
     try {
-      const candidateInit = JSON.parse(candidateJson);
-      await pc.addIceCandidate(new RTCIceCandidate(candidateInit));
+      await pc.addIceCandidate(candidateInit);
       // console.log(`ICE candidate added for ${senderPeerId}`);
+      return true;
     } catch (error) {
+      this._getCandidateStats(senderPeerId).dropped++;
       // Ignore error if remote description is not yet set, as candidate is queued.
       if (error.name === "InvalidStateError" && pc.remoteDescription == null) {
         console.log(`ICE candidate for ${senderPeerId} queued as remote description is not set yet.`);
+      } else if (this.negotiations.get(senderPeerId)?.ignoreOffer) {
+        // Candidates belonging to an offer we ignored during a collision are expected to fail
+        console.log(`Ignoring ICE candidate for ${senderPeerId} from an ignored offer.`);
       } else {
-        console.error(`Error adding ICE candidate for ${senderPeerId}:`, error, candidateJson);
+        console.error(`Error adding ICE candidate for ${senderPeerId}:`, error, candidateInit);
       }
+      return false;
+    }
+  }
+
+  _queueCandidate(peerId, candidateInit) {
+    const queue = this.pendingCandidates.get(peerId) ?? [];
+    const stats = this._getCandidateStats(peerId);
+    if (queue.length >= MAX_PENDING_CANDIDATES_PER_PEER) {
+      queue.shift(); // Keep the newest candidates
+      stats.dropped++;
     }
+    queue.push(candidateInit);
+    stats.queued++;
+    this.pendingCandidates.set(peerId, queue);
+    console.log(`Queued ICE candidate from ${peerId} (${queue.length} pending), waiting for remote description.`);
+  }
+
+  async _flushPendingCandidates(peerId) {
+    const queue = this.pendingCandidates.get(peerId);
+    const pc = this.peerConnections.get(peerId);
+    if (!queue || !pc) return;
+
+    this.pendingCandidates.delete(peerId);
+    console.log(`Flushing ${queue.length} queued ICE candidate(s) for ${peerId}.`);
+    for (const candidateInit of queue) {
+      if (await this._addIceCandidate(peerId, pc, candidateInit)) {
+        this._getCandidateStats(peerId).flushed++;
+      }
+    }
+  }
+
+  _getCandidateStats(peerId) {
+    if (!this.candidateStats.has(peerId)) {
+      this.candidateStats.set(peerId, { queued: 0, flushed: 0, dropped: 0 });
+    }
+    return this.candidateStats.get(peerId);
+  }
+
+  // Queued/flushed/dropped ICE candidate counters for one peer, or for all peers when peerId is omitted
+  getCandidateStats(peerId = null) {
+    if (peerId) {
+      return { ...this._getCandidateStats(peerId), pending: this.pendingCandidates.get(peerId)?.length ?? 0 };
+    }
+    const all = {};
+    for (const id of this.candidateStats.keys()) {
+      all[id] = this.getCandidateStats(id);
+    }
+    return all;
   }
 
   // Call this method to start WebRTC connections after WebSocket is established and peers are known (or use onnegotiationneeded)
@@ -666,15 +1012,25 @@ class WebRTCManager {
   }
 
   _cleanupPeer(peerId) {
+    this._clearIceRecovery(peerId);
+    this.negotiations.delete(peerId);
+    const pendingCandidates = this.pendingCandidates.get(peerId);
+    if (pendingCandidates) {
+      this._getCandidateStats(peerId).dropped += pendingCandidates.length;
+      this.pendingCandidates.delete(peerId);
+    }
     const pc = this.peerConnections.get(peerId);
     if (pc) {
       pc.getSenders().forEach((s) => s.track?.stop());
       pc.close();
       this.peerConnections.delete(peerId);
+      this.onPeerDisconnected?.(peerId);
     }
 
     this.senderDataChannels.delete(peerId); // RTCDataChannel.close() is called by pc.close()
     this.receiverDataChannels.delete(peerId);
+    this.realtimeSenderDataChannels.delete(peerId);
+    this.realtimeReceiverDataChannels.delete(peerId);
 
     this.videoTrackSenders.delete(peerId); // RTCRtpSender.stop() is handled by pc.close()
     this.audioTrackSenders.delete(peerId);
@@ -711,8 +1067,15 @@ class WebRTCManager {
     this.peerConnections.clear();
     this.senderDataChannels.clear();
     this.receiverDataChannels.clear();
+    this.realtimeSenderDataChannels.clear();
+    this.realtimeReceiverDataChannels.clear();
     this.videoTrackSenders.clear();
     this.audioTrackSenders.clear();
+    // Candidates queued for peers whose OFFER never arrived
+    this.pendingCandidates.forEach((queue, peerId) => {
+      this._getCandidateStats(peerId).dropped += queue.length;
+    });
+    this.pendingCandidates.clear();
     this.mediaElements.forEach((els) => {
       els.videoElement?.remove();
       els.audioElement?.remove();
@@ -731,7 +1094,7 @@ class WebRTCManager {
       this.localStream.getTracks().forEach((track) => track.stop());
       this.localStream = null;
     }
-    const localVideoPlayer = this.uiConfig?.localVideoPlayerId ? document.getElementById(this.uiConfig.localVideoPlayerId) : null;
+    const localVideoPlayer = this.uiConfig?.localVideoPlayerId ? this.document.getElementById(this.uiConfig.localVideoPlayerId) : null;
     if (localVideoPlayer && localVideoPlayer.srcObject) {
       localVideoPlayer.srcObject.getTracks().forEach((track) => track.stop());
       localVideoPlayer.srcObject = null;
@@ -741,6 +1104,16 @@ class WebRTCManager {
   }
 
   closeWebSocket() {
+    this.isWebSocketClosingByUser = true;
+    if (this.reconnectTimer) {
+      // Waiting between attempts: there is no open socket whose onclose would report 'closed'
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+      this.reconnectAttempt = 0;
+      this.onWebSocketConnection?.("closed");
+      this.cleanupAllPeers();
+      return;
+    }
     if (this.ws) {
       this.ws.close();
       // this.ws = null; // ws.onclose will handle setting isWebSocketConnected to false
@@ -753,18 +1126,21 @@ class WebRTCManager {
   // Or, more commonly, negotiation is triggered per peer when ready.
   // See `initiateOffersToAllPeers`.
 
-  sendViaDataChannel(message, targetPeerId = null) {
+  // channelClass selects the reliable channel (default) or the realtime one.
+  // Realtime sends fall back to the reliable channel while the realtime channel is not open.
+  sendViaDataChannel(message, targetPeerId = null, channelClass = DataChannelClass.RELIABLE) {
     if (targetPeerId) {
-      const dc = this.senderDataChannels.get(targetPeerId);
-      if (dc && dc.readyState === "open") {
+      const dc = this._getOpenSenderChannel(targetPeerId, channelClass);
+      if (dc) {
         dc.send(message);
       } else {
         console.warn(`Data channel to ${targetPeerId} not open or doesn't exist.`);
       }
     } else {
       // Send to all open sender data channels
-      this.senderDataChannels.forEach((dc, peerId) => {
-        if (dc.readyState === "open") {
+      this.senderDataChannels.forEach((_, peerId) => {
+        const dc = this._getOpenSenderChannel(peerId, channelClass);
+        if (dc) {
           dc.send(message);
         } else {
           console.warn(`Data channel to ${peerId} not open, skipping message.`);
@@ -773,8 +1149,19 @@ class WebRTCManager {
     }
   }
 
+  _getOpenSenderChannel(peerId, channelClass) {
+    if (channelClass === DataChannelClass.REALTIME) {
+      const realtimeChannel = this.realtimeSenderDataChannels.get(peerId);
+      if (realtimeChannel && realtimeChannel.readyState === "open") {
+        return realtimeChannel;
+      }
+    }
+    const dc = this.senderDataChannels.get(peerId);
+    return dc && dc.readyState === "open" ? dc : null;
+  }
+
   async setLocalStream(stream) {
-    const localVideoPlayer = this.uiConfig?.localVideoPlayerId ? document.getElementById(this.uiConfig.localVideoPlayerId) : null;
+    const localVideoPlayer = this.uiConfig?.localVideoPlayerId ? this.document.getElementById(this.uiConfig.localVideoPlayerId) : null;
 
     if (stream === null) {
       if (this.localStream) {
@@ -842,49 +1229,59 @@ class WebRTCManager {
         }
       }
 
-      // Optionally await a renegotiation method here
+      // negotiationneeded fires as well; _createAndSendOffer coalesces the two
       await this._createAndSendOffer(peerId);
     }
   }
 
   sendWebSocketTestMessage(message) {
-    if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+    if (this.ws && this.ws.readyState === WEBSOCKET_OPEN) {
       this.ws.send(message);
     } else {
       console.warn("WebSocket not open. Cannot send test message.");
     }
   }
 
+  _isWebSocketOpen() {
+    return this.ws?.readyState === WEBSOCKET_OPEN;
+  }
+
+  // Returns false when the WebSocket is not open and the frame was dropped
   sendWebSocketMessage(messageType, senderPeerId, receiverPeerId, message) {
-    if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+    if (this._isWebSocketOpen()) {
       const signalingMsg = new SignalingMessage(
         messageType,
         senderPeerId,
         receiverPeerId,
         message,
         this.peerConnections.size,
-        this.isLocalPeerVideoAudioSender
+        this.isLocalPeerVideoAudioSender,
+        this.roomId
       );
       this.ws.send(signalingMsg.toString());
-    } else {
-      console.warn(`WebSocket not open. Cannot send: ${messageType} to ${receiverPeerId}`);
+      return true;
     }
+    console.warn(`WebSocket not open. Cannot send: ${messageType} to ${receiverPeerId}`);
+    return false;
   }
 }
 
-export { WebRTCManager };
+export { WebRTCManager, DataChannelClass, SignalingMessage, SignalingMessageType, SignalingFrameError };
 
 // Example Usage (Illustrative - you'll need HTML and to call these):
 /*
 async function main() {
     const localPeerId = 'user-' + Math.random().toString(36).substring(2, 9);
-    const stunServer = 'stun:stun.l.google.com:19302'; // Example STUN server
+    const iceServers = [
+        { urls: 'stun:stun.l.google.com:19302' }, // Example STUN server
+        { urls: 'turn:turn.example.com:3478', username: 'user', credential: 'pass' } // Example TURN server
+    ];
     const uiSettings = {
         videoContainerId: 'remoteVideosContainer', // An ID of a div in your HTML
         localVideoPlayerId: 'localVideoPlayer'    // An ID of a video element for local preview
     };
 
-    const webRTCManager = new WebRTCManager(localPeerId, stunServer, uiSettings);
+    const webRTCManager = new WebRTCManager(localPeerId, iceServers, uiSettings, { iceTransportPolicy: 'all' });
 
     // Assign callbacks
     webRTCManager.onWebSocketConnection = (state) => {
@@ -0,0 +1,167 @@
+import { test, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { ControlProtocol, ControlMessageType, ControlEncoding, encodeControlMessage } from "../src/controlProtocol.js";
+import { FakeClock } from "../src/testing/fakeSensors.js";
+
+beforeEach(() => {
+  mock.method(console, "log", () => {});
+  mock.method(console, "warn", () => {});
+});
+
+afterEach(() => mock.restoreAll());
+
+const clockEnv = (clock) => ({
+  setTimeout: (callback, ms) => clock.setTimeout(callback, ms),
+  clearTimeout: (id) => clock.clearTimeout(id),
+});
+
+// A controller and a host whose transports deliver to each other synchronously
+function createPair(controllerOptions = {}) {
+  const sent = []; // { data, peerId, realtime } sent by the controller
+  const host = new ControlProtocol((data) => controller.handleIncoming(data, "host"), { role: "host" });
+  const controller = new ControlProtocol((data, peerId, realtime) => {
+    sent.push({ data, peerId, realtime });
+    host.handleIncoming(data, "controller");
+  }, controllerOptions);
+  const received = [];
+  host.on(ControlMessageType.MOVE, (payload) => received.push(payload));
+  return { controller, host, sent, received };
+}
+
+test("send() returns false and sends nothing before the handshake", () => {
+  const { controller, sent } = createPair();
+  controller.peers.set("host", { state: "pending", version: null, remoteRole: null, encoding: ControlEncoding.JSON });
+
+  assert.equal(controller.send(ControlMessageType.ACTION, { name: "jump", pressed: true }, "host"), false);
+  assert.equal(controller.send(ControlMessageType.MOVE, { x: 0, y: 0 }), false); // No ready peers
+  assert.equal(sent.length, 0);
+});
+
+test("send() returns true once the handshake is complete", () => {
+  const { controller } = createPair();
+  controller.startHandshake("host");
+
+  assert.equal(controller.isReady("host"), true);
+  assert.equal(controller.send(ControlMessageType.ACTION, { name: "jump", pressed: true }, "host"), true);
+  assert.equal(controller.send(ControlMessageType.MOVE, { x: 0.5, y: 0 }), true);
+});
+
+test("warns once per peer while its handshake is pending, and again after it is removed", () => {
+  const { controller } = createPair();
+  const pending = () => controller.peers.set("host", { state: "pending", version: null, remoteRole: null, encoding: ControlEncoding.JSON });
+  pending();
+
+  for (let i = 0; i < 5; i++) {
+    controller.send(ControlMessageType.MOVE, { x: 0.1, y: 0 }, "host");
+  }
+  assert.equal(console.warn.mock.callCount(), 1);
+
+  controller.removePeer("host");
+  pending();
+  controller.send(ControlMessageType.MOVE, { x: 0.1, y: 0 }, "host");
+  assert.equal(console.warn.mock.callCount(), 2);
+});
+
+test("clamps MOVE vectors to [-1, 1] for both encodings", () => {
+  for (const encoding of [ControlEncoding.JSON, ControlEncoding.BINARY]) {
+    const { controller, received } = createPair({ preferredEncoding: encoding });
+    controller.startHandshake("host");
+    assert.equal(controller.getEncoding("host"), encoding);
+
+    assert.equal(controller.send(ControlMessageType.MOVE, { x: 1.7, y: -3 }), true);
+    assert.equal(received.length, 1);
+    assert.equal(received[0].x, 1);
+    assert.equal(received[0].y, -1);
+  }
+});
+
+test("drops a MOVE with a non-finite vector without throwing", () => {
+  const { controller, sent } = createPair();
+  controller.startHandshake("host");
+  const handshakeFrames = sent.length;
+
+  assert.equal(controller.send(ControlMessageType.MOVE, { x: NaN, y: 0 }), false);
+  assert.equal(controller.send(ControlMessageType.MOVE, { x: 0, y: Infinity }), false);
+  assert.equal(sent.length, handshakeFrames);
+});
+
+test("fails the handshake when the remote never answers HELLO", () => {
+  mock.method(console, "error", () => {});
+  const clock = new FakeClock();
+  const controller = new ControlProtocol(() => {}, { handshakeTimeoutMs: 1000 }, clockEnv(clock));
+  const failures = [];
+  controller.onHandshakeFailed = (peerId, reason) => failures.push([peerId, reason]);
+
+  controller.startHandshake("legacyHost");
+  clock.advance(999);
+  assert.deepEqual(failures, []);
+  clock.advance(1);
+  assert.equal(failures.length, 1);
+  assert.equal(failures[0][0], "legacyHost");
+  assert.equal(controller.isReady("legacyHost"), false);
+  assert.equal(controller.send(ControlMessageType.MOVE, { x: 1, y: 0 }, "legacyHost"), false);
+
+  // A reply that arrives late still completes the handshake
+  controller.handleIncoming(encodeControlMessage(ControlMessageType.HELLO_ACK, { version: 1, encodings: ["json"] }), "legacyHost");
+  assert.equal(controller.isReady("legacyHost"), true);
+});
+
+test("a completed or removed handshake does not time out", () => {
+  const clock = new FakeClock();
+  const env = clockEnv(clock);
+  const host = new ControlProtocol((data) => controller.handleIncoming(data, "host"), { role: "host" });
+  const controller = new ControlProtocol((data) => host.handleIncoming(data, "controller"), { handshakeTimeoutMs: 1000 }, env);
+  let failures = 0;
+  controller.onHandshakeFailed = () => failures++;
+
+  controller.startHandshake("host");
+  controller.startHandshake("other");
+  controller.removePeer("other");
+  clock.advance(5000);
+
+  assert.equal(failures, 0);
+  assert.equal(controller.isReady("host"), true);
+  assert.equal(clock.timers.size, 0);
+});
+
+test("drops out-of-order MOVEs on the realtime channel and accepts sequences that wrap around", () => {
+  const { controller, host, received } = createPair();
+  controller.startHandshake("host");
+  const move = (seq) => host.handleIncoming(encodeControlMessage(ControlMessageType.MOVE, { x: 0.1, y: 0, seq }), "controller");
+
+  for (const seq of [65533, 65535, 65534, 0, 65535, 1, 1, 3, 2]) {
+    move(seq);
+  }
+  assert.deepEqual(received.map((payload) => payload.seq), [65533, 65535, 0, 1, 3]);
+  assert.equal(host.staleMovesDropped, 4);
+
+});
+
+test("the sender's MOVE sequence wraps around and is still accepted", () => {
+  for (const encoding of [ControlEncoding.JSON, ControlEncoding.BINARY]) {
+    const { controller, received } = createPair({ preferredEncoding: encoding });
+    controller.startHandshake("host");
+    controller.moveSequence = 65534;
+
+    for (let i = 0; i < 3; i++) {
+      controller.send(ControlMessageType.MOVE, { x: 0.2, y: 0 });
+    }
+    assert.deepEqual(received.map((payload) => payload.seq), [65534, 65535, 0]);
+  }
+});
+
+test("a new handshake restarts the accepted MOVE sequence", () => {
+  const { controller, host, received } = createPair();
+  controller.startHandshake("host");
+  const move = (seq) => host.handleIncoming(encodeControlMessage(ControlMessageType.MOVE, { x: 0.1, y: 0, seq }), "controller");
+
+  move(1000);
+  move(0); // Older than 1000
+  assert.equal(received.length, 1);
+
+  // The controller page reloads and handshakes again with its sequence back at 0
+  const reloaded = new ControlProtocol((data) => host.handleIncoming(data, "controller"));
+  reloaded.startHandshake("host");
+  move(0);
+  assert.deepEqual(received.map((payload) => payload.seq), [1000, 0]);
+});
@@ -0,0 +1,157 @@
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { GamepadInput } from '../src/gamepadInput.js';
+import { FakeClock } from '../src/testing/fakeSensors.js';
+
+const FRAME_MS = 16;
+
+beforeEach(() => mock.method(console, 'log', () => {}));
+afterEach(() => mock.restoreAll());
+
+// 模擬 Gamepad 物件；測試直接修改 axes / buttons，下一次輪詢時讀到
+function createGamepad(index, id) {
+    return {
+        index,
+        id,
+        axes: [0, 0, 0, 0],
+        buttons: Array.from({ length: 17 }, () => ({ pressed: false, value: 0 }))
+    };
+}
+
+function press(gamepad, button, pressed = true) {
+    gamepad.buttons[button] = { pressed, value: pressed ? 1 : 0 };
+}
+
+function setup(gamepads, options) {
+    const clock = new FakeClock();
+    const listeners = new Map();
+    const connected = [...gamepads];
+    const env = {
+        getGamepads: () => connected,
+        eventTarget: {
+            addEventListener: (type, listener) => listeners.set(type, listener),
+            removeEventListener: (type) => listeners.delete(type)
+        },
+        requestAnimationFrame: (callback) => clock.requestAnimationFrame(callback),
+        cancelAnimationFrame: (id) => clock.clearTimeout(id)
+    };
+    const input = new GamepadInput(options, env);
+    const moves = [];
+    const actions = [];
+    input.on('move', (vector) => moves.push(vector));
+    input.on('action', (name, pressed) => actions.push([name, pressed]));
+    input.start();
+
+    const dispatch = (type, gamepad) => listeners.get(type)?.({ gamepad });
+    const frame = () => clock.advance(FRAME_MS);
+    return { clock, connected, dispatch, frame, input, moves, actions };
+}
+
+function assertVector(actual, expected) {
+    assert.ok(Math.abs(actual.x - expected.x) < 1e-9 && Math.abs(actual.y - expected.y) < 1e-9,
+        `${JSON.stringify(actual)} ≠ ${JSON.stringify(expected)}`);
+}
+
+test('各手把依 id 套用自己的死區', () => {
+    const xbox = createGamepad(0, 'Xbox Wireless Controller (STANDARD GAMEPAD Vendor: 045e)');
+    const dualSense = createGamepad(1, 'DualSense Wireless Controller (Vendor: 054c)');
+    const { frame, input } = setup([xbox, null, dualSense]);
+    assert.deepEqual(input.getConnectedGamepads().map(pad => pad.profile), ['Xbox', 'PlayStation']);
+
+    xbox.axes[0] = 0.1; // Xbox 死區 0.15 內
+    frame();
+    assertVector(input.getVector(), { x: 0, y: 0 });
+
+    xbox.axes[0] = 0;
+    dualSense.axes[0] = 0.1; // PlayStation 死區 0.08 外
+    frame();
+    assertVector(input.getVector(), { x: (0.1 - 0.08) / (1 - 0.08), y: 0 });
+
+    // 手把往上推為負值，輸出往上為正
+    dualSense.axes[0] = 0;
+    dualSense.axes[1] = -1;
+    frame();
+    assertVector(input.getVector(), { x: 0, y: 1 });
+});
+
+test('按鍵與搖桿軸的配置可以自訂，手把的 profile 可再覆寫', () => {
+    const profiles = [
+        { name: 'Flipped', match: /flipped/i, deadZone: 0, mapping: { invertY: true, buttons: { 1: 'fire' } } },
+        { name: 'Generic', match: /.*/, deadZone: 0 }
+    ];
+    const mapping = { moveAxes: { x: 2, y: 3 }, buttons: { 0: 'jump', 7: 'brake' } };
+    const generic = createGamepad(0, 'Generic USB Joystick');
+    const flipped = createGamepad(1, 'Flipped Pad');
+    const { frame, input, actions } = setup([generic, flipped], { profiles, mapping });
+
+    press(generic, 0);
+    generic.buttons[7] = { pressed: false, value: 0.8 }; // 類比扳機超過 buttonThreshold
+    frame();
+    press(generic, 0, false);
+    generic.buttons[7] = { pressed: false, value: 0.3 };
+    frame();
+    assert.deepEqual(actions, [['jump', true], ['brake', true], ['jump', false], ['brake', false]]);
+
+    press(flipped, 0); // Flipped 的按鍵配置只有 1
+    press(flipped, 1);
+    frame();
+    assert.deepEqual(actions.slice(4), [['fire', true]]);
+
+    generic.axes[0] = 1; // 預設的左搖桿已不再使用
+    generic.axes[2] = 0.5;
+    frame();
+    assertVector(input.getVector(), { x: 0.5, y: 0 });
+
+    generic.axes[2] = 0;
+    flipped.axes[3] = -1; // invertY：往上推為往下
+    frame();
+    assertVector(input.getVector(), { x: 0, y: -1 });
+});
+
+test('十字鍵優先於搖桿，斜向時正規化', () => {
+    const pad = createGamepad(0, 'Xbox 360 Controller (XInput STANDARD GAMEPAD)');
+    const { frame, input, moves } = setup([pad]);
+
+    pad.axes[0] = 1;
+    frame();
+    assertVector(input.getVector(), { x: 1, y: 0 });
+
+    press(pad, 12); // 上
+    frame();
+    assertVector(input.getVector(), { x: 0, y: 1 });
+
+    press(pad, 14); // 左上
+    frame();
+    assertVector(input.getVector(), { x: -Math.SQRT1_2, y: Math.SQRT1_2 });
+
+    press(pad, 12, false);
+    press(pad, 14, false);
+    frame();
+    assertVector(input.getVector(), { x: 1, y: 0 });
+    assert.equal(moves.length, 4);
+});
+
+test('gamepaddisconnected 時放開按住的按鍵、向量歸零並停止輪詢', () => {
+    const pad = createGamepad(0, 'Xbox Wireless Controller');
+    const { clock, connected, dispatch, frame, input, moves, actions } = setup([]);
+    const disconnected = [];
+    input.on('disconnect', (info) => disconnected.push(info));
+
+    connected.push(pad);
+    dispatch('gamepadconnected', pad);
+    press(pad, 0);
+    pad.axes[1] = -1;
+    frame();
+    assertVector(input.getVector(), { x: 0, y: 1 });
+    assert.deepEqual(actions, [['a', true]]);
+
+    connected.pop();
+    dispatch('gamepaddisconnected', pad);
+    assert.deepEqual(actions, [['a', true], ['a', false]]);
+    assertVector(moves.at(-1), { x: 0, y: 0 });
+    assert.deepEqual(disconnected, [{ index: 0, id: 'Xbox Wireless Controller', profile: 'Xbox' }]);
+    assert.equal(clock.timers.size, 0);
+
+    frame();
+    assert.deepEqual(actions, [['a', true], ['a', false]]);
+});
@@ -0,0 +1,263 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GyroscopeManager } from '../src/gyroscopeManager.js';
+import { EmaFilter, MovingMedianFilter } from '../src/sensorFilters.js';
+import { createFakeGyroscopeEnv, holdOrientation, playOrientationSequence } from '../src/testing/fakeSensors.js';
+
+const LEVEL = { alpha: 0, beta: 0, gamma: 0 };
+
+// 建立 GyroscopeManager，跑完 init() 與校正（校正姿勢為 calibrationPose）
+async function setupCalibrated(config = {}, { calibrationPose = LEVEL, screenAngle = 0 } = {}) {
+    const fake = createFakeGyroscopeEnv({ permission: 'granted' });
+    fake.screen.angle = screenAngle;
+    const gyro = new GyroscopeManager({ enableAudio: false, smoothingFactor: 1, ...config }, fake.env);
+    const directions = [];
+    gyro.on('directionChange', (direction) => directions.push(direction));
+
+    const ready = gyro.init();
+    await playOrientationSequence(fake.sensorSource, fake.clock, holdOrientation(calibrationPose, 4000));
+    assert.equal(await ready, true);
+
+    const calibrated = gyro.calibrate();
+    await playOrientationSequence(fake.sensorSource, fake.clock, holdOrientation(calibrationPose, 1200));
+    await calibrated;
+    return { ...fake, gyro, directions };
+}
+
+async function hold(fake, pose, ms = 300) {
+    await playOrientationSequence(fake.sensorSource, fake.clock, holdOrientation(pose, ms));
+}
+
+function assertCoordinates(actual, expected, tolerance = 1e-3) {
+    assert.ok(Math.abs(actual.x - expected.x) < tolerance, `x: ${actual.x} ≠ ${expected.x}`);
+    assert.ok(Math.abs(actual.y - expected.y) < tolerance, `y: ${actual.y} ≠ ${expected.y}`);
+}
+
+test('init() 在授權後完成並註冊感應器監聽，destroy() 移除監聽', async () => {
+    const fake = await setupCalibrated();
+    assert.equal(fake.gyro.getPlatform(), 'Android');
+    assert.ok(fake.sensorSource.listenerCount('deviceorientation') > 0);
+
+    fake.gyro.destroy();
+    assert.equal(fake.sensorSource.listenerCount('deviceorientation'), 0);
+});
+
+test('校正以靜止期間的平均姿勢為基準', async () => {
+    const calibrationPose = { alpha: 10, beta: 5, gamma: 0 };
+    const { gyro } = await setupCalibrated({}, { calibrationPose });
+    assert.equal(gyro.isCalibrated(), true);
+
+    const calibration = gyro.getCalibration();
+    assert.ok(Math.abs(calibration.alpha - 10) < 1e-6);
+    assert.ok(Math.abs(calibration.beta - 5) < 1e-6);
+    assert.ok(Math.abs(calibration.gamma) < 1e-6);
+    assert.equal(gyro.getCurrentDirection(), '靜止');
+});
+
+test('方向依相對校正姿勢的傾斜判斷，並送出對應的座標', async () => {
+    const calibrationPose = { alpha: 10, beta: 5, gamma: 0 };
+    const fake = await setupCalibrated({}, { calibrationPose });
+
+    await hold(fake, { alpha: 10, beta: 35, gamma: 0 });
+    assert.equal(fake.gyro.getCurrentDirection(), '往上');
+    assertCoordinates(fake.gyro.getDirectionAsCoordinates(), { x: 0, y: 0.5 });
+
+    // 校正姿勢前傾 5° 時，繞世界垂直軸的 yaw 在手機座標下會帶一點 roll，x 只是接近 0.5
+    await hold(fake, { alpha: -20, beta: 5, gamma: 0 });
+    assert.equal(fake.gyro.getCurrentDirection(), '往右');
+    assertCoordinates(fake.gyro.getDirectionAsCoordinates(), { x: 0.5, y: 0 }, 0.01);
+
+    await hold(fake, calibrationPose);
+    assert.equal(fake.gyro.getCurrentDirection(), '靜止');
+    assertCoordinates(fake.gyro.getDirectionAsCoordinates(), { x: 0, y: 0 });
+
+    assert.deepEqual(fake.directions, ['往上', '往右', '靜止']);
+});
+
+test('死區內的小幅傾斜維持靜止', async () => {
+    const fake = await setupCalibrated();
+    await hold(fake, { alpha: 0, beta: 10, gamma: 0 });
+    assert.equal(fake.gyro.getCurrentDirection(), '靜止');
+    assert.deepEqual(fake.directions, []);
+});
+
+test('軸對應與畫面旋轉補償', async (t) => {
+    const cases = [
+        { axisMapping: 'pitch-and-roll', screenAngle: 0, pose: { alpha: 0, beta: 0, gamma: 30 }, direction: '往右', coordinates: { x: 0.5, y: 0 } },
+        { axisMapping: 'pitch-and-roll', screenAngle: 0, pose: { alpha: 0, beta: 30, gamma: 0 }, direction: '往上', coordinates: { x: 0, y: 0.5 } },
+        { axisMapping: 'pitch-and-roll', screenAngle: 90, pose: { alpha: 0, beta: 30, gamma: 0 }, direction: '往右', coordinates: { x: 0.5, y: 0 } },
+        { axisMapping: 'pitch-and-roll', screenAngle: 270, pose: { alpha: 0, beta: 30, gamma: 0 }, direction: '往左', coordinates: { x: -0.5, y: 0 } },
+        { axisMapping: 'pitch-and-roll', screenAngle: 90, pose: { alpha: 0, beta: 0, gamma: -30 }, direction: '往上', coordinates: { x: 0, y: 0.5 } }
+    ];
+    for (const { axisMapping, screenAngle, pose, direction, coordinates } of cases) {
+        await t.test(`${axisMapping} @ ${screenAngle}° ${JSON.stringify(pose)}`, async () => {
+            const fake = await setupCalibrated({ axisMapping }, { screenAngle });
+            await hold(fake, pose, 100);
+            assert.equal(fake.gyro.getCurrentDirection(), direction);
+            assertCoordinates(fake.gyro.getDirectionAsCoordinates(), coordinates);
+        });
+    }
+});
+
+// 逐筆餵入樣本，每筆處理完後記錄傾斜向量
+async function sweep(fake, samples) {
+    const tilts = [];
+    fake.gyro.on('sensorData', () => tilts.push(fake.gyro.getTiltVector()));
+    await playOrientationSequence(fake.sensorSource, fake.clock, samples);
+    return tilts;
+}
+
+test('alpha 跨過 0 / 360 時傾斜連續變化，平滑後也不會往反方向暴衝', async () => {
+    const fake = await setupCalibrated({ smoothingFactor: 0.3 }, { calibrationPose: { alpha: 350, beta: 0, gamma: 0 } });
+    const samples = [];
+    for (let alpha = 350; alpha <= 390; alpha += 2) {
+        samples.push({ alpha: alpha % 360, beta: 0, gamma: 0 });
+    }
+    samples.push(...Array(30).fill({ alpha: 30, beta: 0, gamma: 0 }));
+    const tilts = await sweep(fake, samples);
+
+    for (let i = 1; i < tilts.length; i++) {
+        assert.ok(tilts[i].x <= 1e-6 && tilts[i].x >= -40 - 1e-6, `x 超出範圍: ${tilts[i].x}`);
+        assert.ok(Math.abs(tilts[i].x - tilts[i - 1].x) < 2, `第 ${i} 筆跳值: ${tilts[i - 1].x} -> ${tilts[i].x}`);
+    }
+    assert.ok(Math.abs(tilts.at(-1).x + 40) < 0.1, `最後的 x: ${tilts.at(-1).x}`);
+    assert.ok(Math.abs(fake.gyro.getState().smoothed.alpha - 30) < 0.1);
+    assert.deepEqual(fake.directions, ['往左']);
+});
+
+test('beta 接近 ±90° 時 alpha / gamma 大幅跳動，傾斜仍維持連續', async (t) => {
+    for (const sign of [1, -1]) {
+        await t.test(`beta ${sign * 90}°`, async () => {
+            const fake = await setupCalibrated(
+                { smoothingFactor: 0.3, axisMapping: 'pitch-and-roll' },
+                { calibrationPose: { alpha: 0, beta: sign * 60, gamma: 0 } }
+            );
+            const samples = [];
+            for (let beta = 60; beta < 90; beta += 2) {
+                samples.push({ alpha: 0, beta: sign * beta, gamma: 0 });
+            }
+            // 螢幕幾乎垂直地面時，同一個姿勢的 alpha 與 gamma 可以互相抵銷地任意跳動
+            for (let i = 0; i < 30; i++) {
+                const alpha = i % 2 === 0 ? 40 : -40;
+                samples.push({ alpha: (alpha + 360) % 360, beta: sign * 89.95, gamma: -sign * alpha });
+            }
+            const tilts = await sweep(fake, samples);
+
+            // 平滑追上之後（最後 15 筆）應該穩定在 29.95°
+            for (const tilt of tilts.slice(-15)) {
+                assert.ok(Math.abs(Math.abs(tilt.y) - 29.95) < 0.5, `y: ${tilt.y}`);
+                assert.ok(Math.abs(tilt.x) < 0.5, `x: ${tilt.x}`);
+            }
+            for (let i = 1; i < tilts.length; i++) {
+                assert.ok(Math.abs(tilts[i].y - tilts[i - 1].y) < 2, `第 ${i} 筆跳值: ${tilts[i - 1].y} -> ${tilts[i].y}`);
+            }
+            assert.deepEqual(fake.directions, [sign > 0 ? '往上' : '往下']);
+        });
+    }
+});
+
+test('setConfig 可在執行中切換濾波器', async () => {
+    const fake = await setupCalibrated({ axisMapping: 'pitch-and-roll' });
+    const tiltY = () => fake.gyro.getTiltVector().y;
+
+    fake.gyro.setConfig({ filter: 'median', filterOptions: { median: { windowSize: 3 } } });
+    assert.ok(fake.gyro.sensorFilter.filters[0] instanceof MovingMedianFilter);
+    await hold(fake, LEVEL, 100);
+    await playOrientationSequence(fake.sensorSource, fake.clock, [{ alpha: 0, beta: 40, gamma: 0 }]);
+    assert.ok(Math.abs(tiltY()) < 1e-6, `突波未被濾除: ${tiltY()}`);
+    await hold(fake, LEVEL, 100);
+    assert.deepEqual(fake.directions, []);
+
+    fake.gyro.setConfig({ filter: 'ema', smoothingFactor: 0.5 });
+    assert.ok(fake.gyro.sensorFilter.filters[0] instanceof EmaFilter);
+    await playOrientationSequence(fake.sensorSource, fake.clock, [LEVEL, { alpha: 0, beta: 40, gamma: 0 }]);
+    assert.ok(Math.abs(tiltY() - 20) < 0.01, `y: ${tiltY()}`);
+});
+
+// 傾斜 magnitude 度、方向角 angle 度（0° 往右、逆時針）的 pitch-and-roll 姿勢
+function tiltPose(magnitude, angle) {
+    const radians = angle * Math.PI / 180;
+    return { alpha: 0, beta: magnitude * Math.sin(radians), gamma: magnitude * Math.cos(radians) };
+}
+
+test('傾斜幅度的遲滯：超過 enterThreshold 才移動，低於 exitThreshold 才停下', async () => {
+    // movementThreshold 20 → enter 20、exit 15
+    const fake = await setupCalibrated({ axisMapping: 'pitch-and-roll' });
+    const steps = [[22, '往上'], [17, '往上'], [14, '靜止'], [17, '靜止'], [21, '往上']];
+    for (const [beta, direction] of steps) {
+        await hold(fake, { alpha: 0, beta, gamma: 0 });
+        assert.equal(fake.gyro.getCurrentDirection(), direction, `beta ${beta}`);
+    }
+    assert.deepEqual(fake.directions, ['往上', '靜止', '往上']);
+});
+
+test('扇區邊界的遲滯：超出目前扇區 sectorHysteresis 度才換方向', async () => {
+    const fake = await setupCalibrated({ axisMapping: 'pitch-and-roll' });
+    // 8 扇區時往右 / 往右上的邊界在 22.5°，加上遲滯 10° 為 32.5°
+    const steps = [[0, '往右'], [28, '往右'], [40, '往右上'], [15, '往右上'], [5, '往右']];
+    for (const [angle, direction] of steps) {
+        await hold(fake, tiltPose(30, angle));
+        assert.equal(fake.gyro.getCurrentDirection(), direction, `${angle}°`);
+    }
+    assert.deepEqual(fake.directions, ['往右', '往右上', '往右']);
+});
+
+test('4 扇區與 8 扇區', async (t) => {
+    const cases = [
+        { sectors: 4, angle: 40, direction: '往右' },
+        { sectors: 4, angle: 60, direction: '往上' },
+        { sectors: 4, angle: -60, direction: '往下' },
+        { sectors: 4, angle: 170, direction: '往左' },
+        { sectors: 8, angle: 40, direction: '往右上' },
+        { sectors: 8, angle: -60, direction: '往右下' },
+        { sectors: 8, angle: 135, direction: '往左上' },
+        { sectors: 8, angle: 170, direction: '往左' }
+    ];
+    for (const { sectors, angle, direction } of cases) {
+        await t.test(`${sectors} 扇區 ${angle}°`, async () => {
+            const fake = await setupCalibrated({ axisMapping: 'pitch-and-roll', directionSectors: sectors });
+            await hold(fake, tiltPose(30, angle));
+            assert.equal(fake.gyro.getCurrentDirection(), direction);
+        });
+    }
+
+    const fake = createFakeGyroscopeEnv();
+    const gyro = new GyroscopeManager({ enableAudio: false, directionSectors: 6 }, fake.env);
+    assert.throws(() => gyro.determineDirection(30, 0), /方向扇區數只能是 4 或 8: 6/);
+});
+
+test('新方向需維持 minDirectionHoldMs 才送出，短暫晃動不觸發', async () => {
+    const fake = await setupCalibrated({ axisMapping: 'pitch-and-roll', minDirectionHoldMs: 200 });
+    const up = { alpha: 0, beta: 30, gamma: 0 };
+
+    await hold(fake, up, 150);
+    assert.equal(fake.gyro.getCurrentDirection(), '靜止');
+    await hold(fake, LEVEL);
+    assert.deepEqual(fake.directions, []);
+
+    await hold(fake, up, 150);
+    assert.deepEqual(fake.directions, []);
+    await hold(fake, up, 100);
+    assert.deepEqual(fake.directions, ['往上']);
+});
+
+test('傾斜超過 runThreshold 時等級變為跑步，回落到離開門檻以下才變回走路', async () => {
+    // maxThreshold 60 → runEnter 45、runExit 40
+    const fake = await setupCalibrated({ axisMapping: 'pitch-and-roll' });
+    const changes = [];
+    fake.gyro.on('directionChange', (direction, previous, { level, previousLevel }) => {
+        changes.push(`${previous}:${previousLevel} -> ${direction}:${level}`);
+    });
+
+    const steps = [[30, 'walk'], [50, 'run'], [42, 'run'], [38, 'walk'], [0, null]];
+    for (const [beta, level] of steps) {
+        await hold(fake, { alpha: 0, beta, gamma: 0 });
+        assert.equal(fake.gyro.getMovementLevel(), level, `beta ${beta}`);
+    }
+    assert.deepEqual(changes, [
+        '靜止:null -> 往上:walk',
+        '往上:walk -> 往上:run',
+        '往上:run -> 往上:walk',
+        '往上:walk -> 靜止:null'
+    ]);
+});
@@ -0,0 +1,16 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { IceTransportPolicy, parseIceConfig, getIceConfigFromQuery } from "../src/iceConfig.js";
+
+test("leaves iceTransportPolicy unset when the config does not specify one", async () => {
+  assert.equal(parseIceConfig({ iceServers: ["stun:stun.example.org"] }).iceTransportPolicy, null);
+  assert.equal(parseIceConfig(["stun:stun.example.org"]).iceTransportPolicy, null);
+  assert.equal((await getIceConfigFromQuery('?iceServers=["stun:stun.example.org"]')).iceTransportPolicy, null);
+  assert.equal(await getIceConfigFromQuery(""), null);
+});
+
+test("keeps an explicit iceTransportPolicy and rejects unknown ones", async () => {
+  assert.equal(parseIceConfig({ iceServers: [], iceTransportPolicy: "relay" }).iceTransportPolicy, IceTransportPolicy.RELAY);
+  assert.equal((await getIceConfigFromQuery("?iceTransportPolicy=all")).iceTransportPolicy, IceTransportPolicy.ALL);
+  assert.throws(() => parseIceConfig({ iceServers: [], iceTransportPolicy: "host" }), /Invalid iceTransportPolicy/);
+});
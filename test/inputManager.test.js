@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { InputManager, InputArbitration } from '../src/inputManager.js';
+import { FakeClock } from '../src/testing/fakeSensors.js';
+
+// 以 FakeClock 的 setTimeout 模擬 setInterval，並記錄目前執行中的 interval 數量
+function createIntervalEnv(clock) {
+    const intervals = new Map(); // id -> 目前排定的 timeout id
+    let nextId = 1;
+    return {
+        intervals,
+        now: () => clock.now(),
+        setInterval: (callback, ms) => {
+            const id = nextId++;
+            const loop = () => {
+                intervals.set(id, clock.setTimeout(loop, ms));
+                callback();
+            };
+            intervals.set(id, clock.setTimeout(loop, ms));
+            return id;
+        },
+        clearInterval: (id) => {
+            clock.clearTimeout(intervals.get(id));
+            intervals.delete(id);
+        }
+    };
+}
+
+function setup(options = {}) {
+    const clock = new FakeClock();
+    const env = createIntervalEnv(clock);
+    const sent = [];
+    const manager = new InputManager((vector) => sent.push(vector), options, env);
+    return { clock, env, sent, manager };
+}
+
+test('只在更新與放開時交出向量，不會自己重送', () => {
+    const { clock, sent, manager } = setup();
+    manager.update('buttons', { x: 0, y: 1 });
+    clock.advance(1000);
+    assert.deepEqual(sent, [{ x: 0, y: 1 }]);
+
+    manager.update('buttons', { x: 0, y: 0 });
+    assert.deepEqual(sent, [{ x: 0, y: 1 }, { x: 0, y: 0 }]);
+});
+
+test('沒有 staleAfterMs 的來源不啟動過期檢查', () => {
+    const { env, manager } = setup();
+    manager.update('touch', { x: 1, y: 0 });
+    manager.update('buttons', { x: 0, y: 1 });
+    assert.equal(env.intervals.size, 0);
+});
+
+test('傾斜超過 staleAfterMs 沒有更新時視為放開並送出歸零，之後停止檢查', () => {
+    const { clock, env, sent, manager } = setup();
+    manager.update('tilt', { x: 0.4, y: 0 });
+    assert.equal(env.intervals.size, 1);
+
+    clock.advance(400);
+    manager.update('tilt', { x: 0.5, y: 0 }); // 仍持續回報
+    clock.advance(400);
+    assert.deepEqual(manager.getControllingSources(), ['tilt']);
+
+    clock.advance(300);
+    assert.deepEqual(manager.getControllingSources(), []);
+    assert.deepEqual(sent.at(-1), { x: 0, y: 0 });
+    assert.equal(env.intervals.size, 0);
+});
+
+test('優先順序高的來源獨佔，放開後交回給其他使用中的來源', () => {
+    const { sent, manager } = setup();
+    const changes = [];
+    manager.on('activeSourceChange', (sources) => changes.push(sources));
+
+    manager.update('tilt', { x: 0.2, y: 0 });
+    manager.update('buttons', { x: 0, y: 1 });
+    manager.release('buttons');
+    assert.deepEqual(sent, [{ x: 0.2, y: 0 }, { x: 0, y: 1 }, { x: 0.2, y: 0 }]);
+    assert.deepEqual(changes, [['tilt'], ['buttons'], ['tilt']]);
+    manager.destroy();
+});
+
+test('混合模式依權重加總並限制在單位圓內', () => {
+    const { manager } = setup({ arbitration: InputArbitration.BLEND });
+    manager.update('touch', { x: 1, y: 0 });
+    manager.update('buttons', { x: 0, y: 1 });
+    const output = manager.getOutput();
+    assert.ok(Math.abs(Math.hypot(output.x, output.y) - 1) < 1e-9);
+    assert.deepEqual(manager.getControllingSources().sort(), ['buttons', 'touch']);
+});
@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { KeyboardInput } from '../src/keyboardInput.js';
+
+// 只記錄監聽器的假 eventTarget，dispatch 時直接呼叫
+function createEventTarget() {
+    const listeners = new Map();
+    return {
+        addEventListener: (type, listener) => listeners.set(type, listener),
+        removeEventListener: (type) => listeners.delete(type),
+        dispatch: (type, event = {}) => listeners.get(type)?.({ target: null, preventDefault() {}, ...event })
+    };
+}
+
+function setup(options) {
+    const eventTarget = createEventTarget();
+    const keyboard = new KeyboardInput(options, { eventTarget, document: null });
+    const changes = [];
+    const actions = [];
+    keyboard.on('change', (pressed) => changes.push(pressed));
+    keyboard.on('action', (name, pressed) => actions.push([name, pressed]));
+    keyboard.start();
+    return { eventTarget, keyboard, changes, actions };
+}
+
+test('按住兩個方向鍵走斜線，同方向的兩個鍵全部放開才算放開', () => {
+    const { eventTarget, keyboard, changes } = setup();
+    eventTarget.dispatch('keydown', { code: 'KeyW' });
+    eventTarget.dispatch('keydown', { code: 'ArrowUp' });
+    eventTarget.dispatch('keydown', { code: 'KeyD' });
+    assert.deepEqual(keyboard.getPressed(), { up: true, down: false, left: false, right: true });
+    assert.equal(changes.length, 2);
+
+    eventTarget.dispatch('keyup', { code: 'KeyW' });
+    assert.equal(keyboard.getPressed().up, true);
+    eventTarget.dispatch('keyup', { code: 'ArrowUp' });
+    assert.equal(keyboard.getPressed().up, false);
+    assert.equal(changes.length, 3);
+});
+
+test('狀態由鍵盤自己持有，getPressed() 回傳的是複本', () => {
+    const { eventTarget, keyboard } = setup();
+    eventTarget.dispatch('keydown', { code: 'KeyA' });
+    const pressed = keyboard.getPressed();
+    pressed.left = false;
+    assert.equal(keyboard.getPressed().left, true);
+});
+
+test('自動重複與輸入框中的按鍵被忽略', () => {
+    const { eventTarget, keyboard, changes } = setup();
+    eventTarget.dispatch('keydown', { code: 'KeyS', target: { tagName: 'INPUT' } });
+    assert.equal(keyboard.isAnyKeyHeld(), false);
+
+    eventTarget.dispatch('keydown', { code: 'KeyS' });
+    eventTarget.dispatch('keydown', { code: 'KeyS', repeat: true });
+    assert.equal(changes.length, 1);
+});
+
+test('失焦時放開所有方向與動作', () => {
+    const { eventTarget, keyboard, actions } = setup({ bindings: { actions: { KeyE: 'x' } } });
+    eventTarget.dispatch('keydown', { code: 'KeyD' });
+    eventTarget.dispatch('keydown', { code: 'KeyE' });
+    eventTarget.dispatch('blur');
+
+    assert.deepEqual(keyboard.getPressed(), { up: false, down: false, left: false, right: false });
+    assert.deepEqual(actions, [['x', true], ['x', false]]);
+});
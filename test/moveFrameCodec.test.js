@@ -0,0 +1,65 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { MOVE_FRAME_ID, MOVE_FRAME_BYTE_LENGTH, isBinaryFrame, encodeMoveFrame, decodeMoveFrame } from "../src/moveFrameCodec.js";
+
+const STEP = 1 / 32767; // One quantization step
+
+test("round-trips a move within one quantization step", () => {
+  for (const [x, y] of [[0, 0], [1, -1], [0.5, -0.25], [0.123456, -0.987654], [STEP / 3, -STEP / 3]]) {
+    const frame = encodeMoveFrame({ x, y, seq: 42, t: 123456 }, 1);
+    assert.equal(frame.byteLength, MOVE_FRAME_BYTE_LENGTH);
+    const decoded = decodeMoveFrame(frame);
+    assert.ok(Math.abs(decoded.x - x) <= STEP / 2, `x ${x} -> ${decoded.x}`);
+    assert.ok(Math.abs(decoded.y - y) <= STEP / 2, `y ${y} -> ${decoded.y}`);
+    assert.equal(decoded.seq, 42);
+    assert.equal(decoded.t, 123456);
+  }
+  // Full deflection and rest are exact
+  assert.deepEqual(decodeMoveFrame(encodeMoveFrame({ x: 1, y: -1, seq: 0, t: 0 }, 1)), { version: 1, seq: 0, t: 0, x: 1, y: -1 });
+  assert.deepEqual(decodeMoveFrame(encodeMoveFrame({ x: 0, y: 0, seq: 0, t: 0 }, 1)), { version: 1, seq: 0, t: 0, x: 0, y: 0 });
+});
+
+test("clamps axes outside [-1, 1]", () => {
+  const decoded = decodeMoveFrame(encodeMoveFrame({ x: 3.5, y: -1.01, seq: 0, t: 0 }, 1));
+  assert.equal(decoded.x, 1);
+  assert.equal(decoded.y, -1);
+});
+
+test("writes the frame id and version bytes", () => {
+  for (const version of [1, 2, 255]) {
+    const frame = encodeMoveFrame({ x: 0, y: 0, seq: 0, t: 0 }, version);
+    const bytes = new Uint8Array(frame);
+    assert.equal(bytes[0], MOVE_FRAME_ID);
+    assert.equal(bytes[1], version);
+    assert.equal(decodeMoveFrame(frame).version, version);
+  }
+});
+
+test("wraps seq at 65536 and t at 2^32", () => {
+  const decode = (seq, t) => decodeMoveFrame(encodeMoveFrame({ x: 0, y: 0, seq, t }, 1));
+  assert.equal(decode(65535, 0).seq, 65535);
+  assert.equal(decode(65536, 0).seq, 0);
+  assert.equal(decode(65537, 0).seq, 1);
+  assert.equal(decode(0, 2 ** 32 - 1).t, 2 ** 32 - 1);
+  assert.equal(decode(0, 2 ** 32 + 5).t, 5);
+});
+
+test("decodes from a typed-array view at an offset", () => {
+  const frame = new Uint8Array(encodeMoveFrame({ x: 0.5, y: 0, seq: 7, t: 9 }, 1));
+  const padded = new Uint8Array(frame.length + 4);
+  padded.set(frame, 4);
+  const view = padded.subarray(4);
+  assert.equal(isBinaryFrame(view), true);
+  assert.equal(decodeMoveFrame(view).seq, 7);
+  assert.equal(isBinaryFrame("{}"), false);
+});
+
+test("rejects frames of the wrong length or with an unknown id", () => {
+  const frame = new Uint8Array(encodeMoveFrame({ x: 0, y: 0, seq: 0, t: 0 }, 1));
+  assert.throws(() => decodeMoveFrame(frame.subarray(0, MOVE_FRAME_BYTE_LENGTH - 1)), /must be 12 bytes, got 11/);
+  assert.throws(() => decodeMoveFrame(new Uint8Array(MOVE_FRAME_BYTE_LENGTH + 1)), /must be 12 bytes, got 13/);
+  assert.throws(() => decodeMoveFrame(new ArrayBuffer(0)), /must be 12 bytes, got 0/);
+
+  frame[0] = 0x7f;
+  assert.throws(() => decodeMoveFrame(frame), /Unknown binary frame id 0x7f/);
+});
@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MoveSendScheduler } from '../src/moveSendScheduler.js';
+import { FakeClock } from '../src/testing/fakeSensors.js';
+
+function setup(options = {}) {
+    const clock = new FakeClock();
+    const sent = [];
+    const scheduler = new MoveSendScheduler((vector) => sent.push(vector), options, {
+        now: () => clock.now(),
+        setTimeout: (callback, ms) => clock.setTimeout(callback, ms),
+        clearTimeout: (id) => clock.clearTimeout(id)
+    });
+    return { clock, sent, scheduler };
+}
+
+test('超過 maxRateHz 的更新合併，到期時只送最新的一筆', () => {
+    const { clock, sent, scheduler } = setup({ maxRateHz: 10, keepaliveMs: 1000 });
+    scheduler.update({ x: 0.1, y: 0 });
+    assert.deepEqual(sent, [{ x: 0.1, y: 0 }]);
+
+    clock.advance(10);
+    scheduler.update({ x: 0.3, y: 0 });
+    clock.advance(10);
+    scheduler.update({ x: 0.5, y: 0 });
+    scheduler.update({ x: 0.7, y: -0.2 });
+    assert.equal(sent.length, 1);
+
+    clock.advance(79);
+    assert.equal(sent.length, 1);
+    clock.advance(1);
+    assert.deepEqual(sent, [{ x: 0.1, y: 0 }, { x: 0.7, y: -0.2 }]);
+    assert.equal(scheduler.getStats().updates, 4);
+});
+
+test('任一軸變化未超過 changeThreshold 時不立即送出', () => {
+    const { clock, sent, scheduler } = setup({ maxRateHz: 1000, changeThreshold: 0.1, keepaliveMs: 1000 });
+    scheduler.update({ x: 0.5, y: 0.5 });
+    clock.advance(10);
+    scheduler.update({ x: 0.55, y: 0.45 });
+    scheduler.update({ x: 0.6, y: 0.5 }); // 剛好等於門檻
+    assert.equal(sent.length, 1);
+
+    scheduler.update({ x: 0.5, y: 0.65 });
+    assert.deepEqual(sent, [{ x: 0.5, y: 0.5 }, { x: 0.5, y: 0.65 }]);
+});
+
+test('沒有變化時每 keepaliveMs 重送最新輸入，包含未達門檻的細微變化', () => {
+    const { clock, sent, scheduler } = setup({ keepaliveMs: 250 });
+    scheduler.update({ x: 0.5, y: 0 });
+    clock.advance(250);
+    assert.deepEqual(sent, [{ x: 0.5, y: 0 }, { x: 0.5, y: 0 }]);
+
+    clock.advance(50);
+    scheduler.update({ x: 0.51, y: 0 });
+    assert.equal(sent.length, 2);
+    clock.advance(199);
+    assert.equal(sent.length, 2);
+    clock.advance(1);
+    assert.deepEqual(sent.at(-1), { x: 0.51, y: 0 });
+    assert.equal(scheduler.getStats().keepalives, 2);
+
+    // 新的送出會把 keepalive 往後延
+    clock.advance(100);
+    scheduler.update({ x: 0.9, y: 0 });
+    clock.advance(249);
+    assert.equal(sent.length, 4);
+    clock.advance(1);
+    assert.equal(sent.length, 5);
+
+    scheduler.destroy();
+    clock.advance(1000);
+    assert.equal(sent.length, 5);
+});
+
+test('放開時不受限速立即送出歸零，之後補送 zeroRepeats 次就停止', () => {
+    const { clock, sent, scheduler } = setup({ maxRateHz: 10, keepaliveMs: 250, zeroRepeats: 2 });
+    scheduler.update({ x: 0, y: 1 });
+    clock.advance(10);
+    scheduler.update({ x: 0.5, y: 0.5 }); // 排定在限速到期時送出
+    scheduler.release();
+    assert.deepEqual(sent, [{ x: 0, y: 1 }, { x: 0, y: 0 }]);
+
+    clock.advance(250);
+    assert.equal(sent.length, 3);
+    clock.advance(250);
+    assert.equal(sent.length, 4);
+    clock.advance(2000);
+    assert.equal(sent.length, 4);
+    assert.deepEqual(sent.slice(1), [{ x: 0, y: 0 }, { x: 0, y: 0 }, { x: 0, y: 0 }]);
+    assert.equal(clock.timers.size, 0);
+
+    // 已經停下時再放開不會重送
+    scheduler.release();
+    assert.equal(sent.length, 4);
+});
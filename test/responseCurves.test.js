@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { shapeAxis, ResponseCurveType } from '../src/responseCurves.js';
+
+const exponential = (exponent) => ({ type: ResponseCurveType.EXPONENTIAL, exponent });
+const sCurve = (strength) => ({ type: ResponseCurveType.S_CURVE, strength });
+const points = (list) => ({ type: ResponseCurveType.POINTS, points: list });
+
+// [說明, response, [[輸入, 預期輸出], ...]]
+const CASES = [
+    ['預設為線性並夾限在 [-1, 1]', {}, [[0, 0], [0.5, 0.5], [-0.3, -0.3], [1.5, 1], [-2, -1]]],
+    ['靈敏度先放大再夾限', { sensitivity: 2 }, [[0.25, 0.5], [0.6, 1], [-0.6, -1]]],
+    ['靈敏度小於 1 時到不了最大值', { sensitivity: 0.5 }, [[1, 0.5], [-1, -0.5]]],
+    ['反向', { invert: true }, [[0.4, -0.4], [-1, 1], [0, 0]]],
+    ['內側死區內為 0，外側重新映射到 [0, 1]', { innerDeadZone: 0.2 }, [[0.1, 0], [-0.15, 0], [0.2, 0], [0.6, 0.5], [-0.6, -0.5], [1, 1]]],
+    ['死區套用在放大後的值', { innerDeadZone: 0.2, sensitivity: 2 }, [[0.05, 0], [0.3, 0.5]]],
+    ['指數曲線（預設 exponent 2）', { curve: { type: ResponseCurveType.EXPONENTIAL } }, [[0.5, 0.25], [-0.5, -0.25], [1, 1]]],
+    ['指數曲線 exponent 3', { curve: exponential(3) }, [[0.5, 0.125], [-1, -1]]],
+    ['S 曲線中點不變、兩端較平緩', { curve: sCurve(2) }, [[0.5, 0.5], [0.25, 0.1], [-0.25, -0.1], [0.75, 0.9], [1, 1]]],
+    ['點表內插並補上 (0, 0) 與 (1, 1)', { curve: points([[0.5, 0.2]]) }, [[0.25, 0.1], [0.5, 0.2], [0.75, 0.6], [-1, -1]]],
+    ['點表不必排序', { curve: points([[1, 1], [0.5, 0.8], [0, 0]]) }, [[0.25, 0.4], [0.75, 0.9]]],
+    ['死區、曲線與反向依序套用', { innerDeadZone: 0.2, curve: exponential(2), invert: true }, [[0.6, -0.25], [-0.6, 0.25], [0.1, 0]]]
+];
+
+test('shapeAxis 依各軸設定產生輸出', async (t) => {
+    for (const [name, response, samples] of CASES) {
+        await t.test(name, () => {
+            for (const [input, expected] of samples) {
+                const output = shapeAxis(input, response);
+                assert.ok(Math.abs(output - expected) < 1e-9, `shapeAxis(${input}) = ${output}，預期 ${expected}`);
+            }
+        });
+    }
+});
+
+test('輸出為 0 時不會是 -0', () => {
+    assert.ok(Object.is(shapeAxis(-0.1, { innerDeadZone: 0.2 }), 0));
+    assert.ok(Object.is(shapeAxis(0, { invert: true }), 0));
+});
+
+test('未知的曲線類型拋出錯誤', () => {
+    assert.throws(() => shapeAxis(0.5, { curve: { type: 'cubic' } }), /未知的反應曲線: cubic/);
+});
@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EmaFilter, OneEuroFilter, MovingMedianFilter, SensorFilterType, createSensorFilter } from '../src/sensorFilters.js';
+
+const FRAME_MS = 16;
+
+function assertClose(actual, expected, tolerance = 1e-9) {
+    assert.ok(Math.abs(actual - expected) < tolerance, `${actual} ≠ ${expected}`);
+}
+
+test('EMA：第一筆直接輸出，之後每筆往新值靠近 smoothingFactor', () => {
+    const filter = new EmaFilter({ smoothingFactor: 0.5 });
+    assert.deepEqual(filter.filter([0, 4]), [0, 4]);
+    assert.deepEqual(filter.filter([10, 4]), [5, 4]);
+    assert.deepEqual(filter.filter([10, 0]), [7.5, 2]);
+
+    filter.reset();
+    assert.deepEqual(filter.filter([1, 1]), [1, 1]);
+});
+
+test('One Euro：靜止時截止頻率為 minCutoff，移動越快跟得越緊', () => {
+    const step = (beta) => {
+        const filter = new OneEuroFilter({ minCutoff: 1, beta, derivativeCutoff: 1 });
+        filter.filter([0], 0);
+        return filter.filter([1], FRAME_MS)[0];
+    };
+    // beta 為 0 時就是截止頻率 1 Hz 的一階低通
+    const tau = 1 / (2 * Math.PI);
+    assertClose(step(0), 1 / (1 + tau / (FRAME_MS / 1000)));
+    assert.ok(step(3) > step(0));
+
+    // 固定輸入維持不變，時間沒有前進時維持上一筆
+    const filter = new OneEuroFilter({ minCutoff: 1, beta: 3, derivativeCutoff: 1 });
+    for (let t = 0; t < 10; t++) {
+        assert.deepEqual(filter.filter([0.5, -0.5], t * FRAME_MS), [0.5, -0.5]);
+    }
+    const held = filter.filter([0.9, -0.5], 9 * FRAME_MS);
+    assert.deepEqual(held, [0.5, -0.5]);
+});
+
+test('移動中位數：去除單筆突波，各通道獨立計算', () => {
+    const filter = new MovingMedianFilter({ windowSize: 3 });
+    const outputs = [[0, 1], [0, 2], [100, 3], [0, 4], [0, 5]].map((values) => filter.filter(values));
+    assert.deepEqual(outputs.map((values) => values[0]), [0, 0, 0, 0, 0]);
+    // 視窗未滿時取現有樣本的中位數（偶數筆取中間兩筆平均）
+    assert.deepEqual(outputs.map((values) => values[1]), [1, 1.5, 2, 3, 4]);
+});
+
+test('createSensorFilter 依序串接濾波器並套用預設參數', () => {
+    const chain = createSensorFilter([SensorFilterType.MEDIAN, SensorFilterType.EMA], { ema: { smoothingFactor: 0.5 } });
+    assert.equal(chain.filters[0].windowSize, 5);
+    assert.equal(chain.filters[1].smoothingFactor, 0.5);
+
+    // 突波先被中位數擋下，EMA 只看到 0
+    for (const value of [0, 0, 0, 100, 0]) {
+        assert.deepEqual(chain.filter([value], 0), [0]);
+    }
+    assert.throws(() => createSensorFilter('kalman'), /未知的濾波器: kalman/);
+});
@@ -0,0 +1,105 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GyroscopeManager } from '../src/gyroscopeManager.js';
+import { parseSensorSession } from '../src/sensorRecorder.js';
+import { createFakeGyroscopeEnv, holdOrientation, playOrientationSequence } from '../src/testing/fakeSensors.js';
+
+const OUTPUT_EVENT_TYPES = ['direction', 'coordinate', 'calibration'];
+
+// 錄一段：校正 → 往上 → 搖晃 → 往右
+async function recordSession() {
+    const { env, clock, sensorSource } = createFakeGyroscopeEnv();
+    const gyro = new GyroscopeManager({ enableAudio: false, calibrationTime: 300 }, env);
+    gyro.state.isActive = true;
+    gyro.setupEventListeners();
+
+    gyro.startRecording();
+    const calibrated = gyro.calibrate();
+    await playOrientationSequence(sensorSource, clock, holdOrientation({ alpha: 10, beta: 5, gamma: 1 }, 400));
+    await calibrated;
+    await playOrientationSequence(sensorSource, clock, holdOrientation({ alpha: 10, beta: 40, gamma: 0 }, 300));
+    sensorSource.emitMotion({ acceleration: { x: 20, y: 0, z: 0 } });
+    await playOrientationSequence(sensorSource, clock, holdOrientation({ alpha: -30, beta: 5, gamma: 0 }, 300));
+    // 經過 JSON 來回，與下載後再載入的檔案相同
+    return parseSensorSession(JSON.parse(JSON.stringify(gyro.stopRecording())));
+}
+
+function outputsOf(session) {
+    return session.events
+        .filter(event => OUTPUT_EVENT_TYPES.includes(event.type))
+        .map(event => [event.type, event.data]);
+}
+
+for (const speed of [1, 4, Infinity]) {
+    test(`以 ${speed} 倍速重播得到與錄製時相同的方向、座標與校正結果`, async () => {
+        const session = await recordSession();
+        const { env, clock, sensorSource } = createFakeGyroscopeEnv();
+        const gyro = new GyroscopeManager({ enableAudio: false }, env);
+
+        gyro.startRecording();
+        const done = gyro.replay(session, { speed });
+        assert.equal(gyro.isReplaying(), true);
+        sensorSource.emitOrientation({ alpha: 99, beta: 99, gamma: 99 }); // 重播期間的即時事件被忽略
+        await clock.runFor(2000);
+
+        assert.equal(await done, true);
+        assert.equal(gyro.isReplaying(), false);
+        assert.deepEqual(outputsOf(gyro.stopRecording()), outputsOf(session));
+        assert.ok(outputsOf(session).some(([type, data]) => type === 'direction' && data === '往右'));
+    });
+}
+
+test('重播結束後還原原本的設定、校正與方向狀態', async () => {
+    const session = await recordSession();
+    const { env, clock, sensorSource } = createFakeGyroscopeEnv();
+    const gyro = new GyroscopeManager({ enableAudio: false, smoothingFactor: 1, calibrationTime: 500 }, env);
+    gyro.state.isActive = true;
+    gyro.setupEventListeners();
+
+    const ownPose = { alpha: 200, beta: -10, gamma: 0 };
+    const calibrated = gyro.calibrate();
+    await playOrientationSequence(sensorSource, clock, holdOrientation(ownPose, 600));
+    await calibrated;
+    await playOrientationSequence(sensorSource, clock, holdOrientation({ alpha: 200, beta: 20, gamma: 0 }, 300));
+    assert.equal(gyro.getCurrentDirection(), '往上');
+    const before = gyro.getState();
+
+    const done = gyro.replay(session, { speed: Infinity });
+    await clock.runFor(100);
+    assert.equal(await done, true);
+
+    const after = gyro.getState();
+    assert.equal(gyro.config.calibrationTime, 500);
+    assert.equal(after.isCalibrated, true);
+    assert.deepEqual(after.calibrationQuaternion, before.calibrationQuaternion);
+    assert.deepEqual(after.calibration, before.calibration);
+    assert.equal(after.currentDirection, '往上');
+    assert.equal(after.lastDirection, before.lastDirection);
+    assert.equal(after.currentLevel, before.currentLevel);
+    assert.deepEqual(after.pendingDirection, before.pendingDirection);
+    assert.equal(after.isActive, true);
+
+    // 還原後的即時輸入依原本的校正判斷
+    await playOrientationSequence(sensorSource, clock, holdOrientation(ownPose, 300));
+    assert.equal(gyro.getCurrentDirection(), '靜止');
+});
+
+test('stopReplay() 中止重播也會還原狀態', async () => {
+    const session = await recordSession();
+    const { env, clock } = createFakeGyroscopeEnv();
+    const gyro = new GyroscopeManager({ enableAudio: false }, env);
+    const ownCalibration = { alpha: 45, beta: 0, gamma: 0 };
+    gyro.setCalibration(ownCalibration);
+    gyro.state.isCalibrated = true;
+    const before = gyro.getState();
+
+    const done = gyro.replay(session, { speed: 1 });
+    await clock.runFor(450);
+    assert.notDeepEqual(gyro.getState().calibrationQuaternion, before.calibrationQuaternion);
+    gyro.stopReplay();
+
+    assert.equal(await done, false);
+    assert.deepEqual(gyro.getState().calibrationQuaternion, before.calibrationQuaternion);
+    assert.equal(gyro.isCalibrated(), true);
+    assert.equal(gyro.state.isActive, false);
+});
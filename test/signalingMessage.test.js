@@ -0,0 +1,82 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { SignalingMessage, SignalingMessageType, SignalingFrameError } from "../src/signalingMessage.js";
+
+const roundTrip = (message, roomId = "") =>
+  SignalingMessage.parse(new SignalingMessage(SignalingMessageType.OFFER, "a", "b", message, 2, true, roomId).toString());
+
+test("round-trips messages containing '|' or starting with '#', with and without a room", () => {
+  const messages = ["plain", "", "a|b", "|", "||0|false", "#", "#12:not a prefix", "v=0\r\na=x|y\r\n", "ü|€|😀"];
+  for (const roomId of ["", "room1"]) {
+    for (const message of messages) {
+      const parsed = roundTrip(message, roomId);
+      assert.equal(parsed.Message, message);
+      assert.equal(parsed.ConnectionCount, 2);
+      assert.equal(parsed.IsVideoAudioSender, true);
+      assert.equal(parsed.RoomId, roomId);
+    }
+  }
+});
+
+test("writes plain messages unchanged and prefixes the others with their length", () => {
+  assert.equal(new SignalingMessage("DATA", "a", "b", "hi", 1, false).toString(), "DATA|a|b|hi|1|false");
+  assert.equal(new SignalingMessage("DATA", "a", "b", "x|y", 1, false, "r").toString(), "DATA|a|b|#3:x|y|1|false|r");
+  assert.equal(new SignalingMessage("DATA", "a", "b", "#1", 0, true).toString(), "DATA|a|b|#2:#1|0|true");
+  // Length counts UTF-16 code units
+  assert.equal(new SignalingMessage("DATA", "a", "b", "😀|", 0, false).toString(), "DATA|a|b|#3:😀||0|false");
+});
+
+test("reads legacy frames whose message contains pipes", () => {
+  const sixFields = SignalingMessage.parse("CANDIDATE|a|b|x|y|z|3|TRUE");
+  assert.equal(sixFields.Message, "x|y|z");
+  assert.equal(sixFields.ConnectionCount, 3);
+  assert.equal(sixFields.IsVideoAudioSender, true);
+  assert.equal(sixFields.RoomId, "");
+
+  const sevenFields = SignalingMessage.parse("CANDIDATE|a|b|x|y|1|false|room1");
+  assert.equal(sevenFields.Message, "x|y");
+  assert.equal(sevenFields.RoomId, "room1");
+
+  // A message that itself ends in "|<int>|<bool>" is read as the six-field layout
+  const trailerLike = SignalingMessage.parse("DATA|a|b|m|5|true|0|false");
+  assert.equal(trailerLike.Message, "m|5|true");
+  assert.equal(trailerLike.ConnectionCount, 0);
+  assert.equal(trailerLike.RoomId, "");
+});
+
+test("rejects malformed frames", () => {
+  const malformed = [
+    "OFFER|a|b", // Missing fields
+    "OFFER|a|b|msg",
+    "OFFER|a|b|msg|1",
+    "OFFER||b|msg|1|false", // Empty sender
+    "OFFER|a|b|msg|one|false", // Non-integer ConnectionCount
+    "OFFER|a|b|msg|1.5|false",
+    "OFFER|a|b|msg|1|yes", // Non-boolean IsVideoAudioSender
+    "OFFER|a|b|#5:ab|1|false", // Declared length longer than the message
+    "OFFER|a|b|#1:ab|1|false", // Declared length shorter than the message
+    "OFFER|a|b|#2:ab|1|false|room|extra", // Too many trailing fields
+    "OFFER|a|b|#2:ab|x|false",
+  ];
+  for (const frame of malformed) {
+    assert.throws(() => SignalingMessage.parse(frame), SignalingFrameError, frame);
+  }
+  assert.throws(() => SignalingMessage.parse(42), SignalingFrameError);
+});
+
+test("treats a boolean-looking RoomId as ambiguous", () => {
+  // "...|0|false|true" might be a room named "true" or a stray IsVideoAudioSender flag; neither is guessed
+  assert.throws(() => SignalingMessage.parse("DATA|a|b|msg|0|false|true"), SignalingFrameError);
+  assert.throws(() => SignalingMessage.parse("DATA|a|b|#3:m|x|0|false|FALSE"), SignalingFrameError);
+  assert.throws(() => new SignalingMessage("DATA", "a", "b", "msg", 0, false, "true").toString(), SignalingFrameError);
+
+  // Numeric room ids stay valid
+  assert.equal(SignalingMessage.parse("DATA|a|b|msg|0|false|1234").RoomId, "1234");
+});
+
+test("refuses to write header fields containing '|'", () => {
+  for (const args of [["DA|TA", "a", "b"], ["DATA", "a|x", "b"], ["DATA", "a", "b|x"]]) {
+    assert.throws(() => new SignalingMessage(...args, "m", 0, false).toString(), SignalingFrameError);
+  }
+  assert.throws(() => new SignalingMessage("DATA", "a", "b", "m", 0, false, "r|1").toString(), SignalingFrameError);
+});
@@ -0,0 +1,181 @@
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { request } from "node:http";
+import { randomBytes } from "node:crypto";
+import { SignalingServer } from "../server/signalingServer.js";
+
+const DISPOSE_GRACE_MS = 60;
+const TEXT_OPCODE = 0x1;
+const CLOSE_OPCODE = 0x8;
+
+let server;
+let port;
+let clients;
+
+beforeEach(async () => {
+  server = new SignalingServer({ port: 0, host: "127.0.0.1", disposeGraceMs: DISPOSE_GRACE_MS, log: () => {} });
+  port = await server.start();
+  clients = [];
+});
+
+afterEach(async () => {
+  clients.forEach((client) => client.socket.destroy());
+  await server.stop();
+});
+
+// Minimal WebSocket client: masked frames out, unmasked frames in; payloads stay under 126 bytes
+class TestClient {
+  constructor(socket, head) {
+    this.socket = socket;
+    this.buffer = Buffer.from(head);
+    this.messages = [];
+    this.opcodes = [];
+    this.isClosed = false;
+    socket.on("data", (chunk) => this._receive(chunk));
+    socket.on("close", () => (this.isClosed = true));
+    this._receive(Buffer.alloc(0));
+  }
+
+  send(text) {
+    const payload = Buffer.from(text, "utf8");
+    const mask = randomBytes(4);
+    const header = Buffer.from([0x80 | TEXT_OPCODE, 0x80 | payload.length]);
+    const masked = payload.map((byte, i) => byte ^ mask[i % 4]);
+    this.socket.write(Buffer.concat([header, mask, masked]));
+  }
+
+  received(prefix) {
+    return this.messages.filter((message) => message.startsWith(prefix));
+  }
+
+  _receive(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+    while (this.buffer.length >= 2 && this.buffer.length >= 2 + (this.buffer[1] & 0x7f)) {
+      const opcode = this.buffer[0] & 0x0f;
+      const length = this.buffer[1] & 0x7f;
+      const payload = this.buffer.subarray(2, 2 + length);
+      this.buffer = this.buffer.subarray(2 + length);
+      this.opcodes.push(opcode);
+      if (opcode !== CLOSE_OPCODE) {
+        this.messages.push(payload.toString("utf8"));
+      }
+    }
+  }
+}
+
+function connectClient() {
+  return new Promise((resolve, reject) => {
+    const req = request({
+      host: "127.0.0.1",
+      port,
+      headers: {
+        Connection: "Upgrade",
+        Upgrade: "websocket",
+        "Sec-WebSocket-Key": randomBytes(16).toString("base64"),
+        "Sec-WebSocket-Version": "13",
+      },
+    });
+    req.on("upgrade", (res, socket, head) => {
+      const client = new TestClient(socket, head);
+      clients.push(client);
+      resolve(client);
+    });
+    req.on("error", reject);
+    req.end();
+  });
+}
+
+async function waitFor(predicate, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!predicate()) {
+    if (Date.now() > deadline) throw new Error("Timed out waiting for condition");
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+}
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Connects a peer and registers it with the server by sending its first frame
+async function joinPeer(peerId, roomId = "") {
+  const client = await connectClient();
+  client.send(`NEWPEER|${peerId}|NOBODY|hello|0|false${roomId ? `|${roomId}` : ""}`);
+  await waitFor(() => server.peers.get(peerId)?.socket.remotePort === client.socket.localPort);
+  return client;
+}
+
+// Frames from one sender are relayed in order, so once the marker arrives everything sent before it has too
+async function flush(sender, senderId, receivers, roomId = "") {
+  const marker = `MARKER|${senderId}|ALL|${randomBytes(4).toString("hex")}|0|false${roomId ? `|${roomId}` : ""}`;
+  sender.send(marker);
+  await waitFor(() => receivers.every((client) => client.messages.includes(marker)));
+}
+
+test("relays ALL frames to every other peer and targeted frames to the receiver only", async () => {
+  const a = await joinPeer("a");
+  const b = await joinPeer("b");
+  const c = await joinPeer("c");
+
+  a.send("NEWPEER|a|ALL|hi|0|false");
+  a.send("OFFER|a|b|sdp|0|false");
+  a.send("OFFER|a|nobody|sdp|0|false"); // Dropped
+  await flush(a, "a", [b, c]);
+
+  assert.deepEqual(b.received("NEWPEER|"), ["NEWPEER|a|ALL|hi|0|false"]);
+  assert.deepEqual(c.received("NEWPEER|"), ["NEWPEER|a|ALL|hi|0|false"]);
+  assert.deepEqual(b.received("OFFER|"), ["OFFER|a|b|sdp|0|false"]);
+  assert.deepEqual(c.received("OFFER|"), []);
+  assert.deepEqual(a.messages, []);
+  assert.ok([...b.opcodes, ...c.opcodes].every((opcode) => opcode === TEXT_OPCODE));
+});
+
+test("keeps ALL frames inside their room and still delivers them to room-less peers", async () => {
+  const first = await joinPeer("first", "room1");
+  const second = await joinPeer("second", "room1");
+  const other = await joinPeer("other", "room2");
+  const legacy = await joinPeer("legacy");
+
+  first.send("NEWPEER|first|ALL|hi|0|false|room1");
+  await flush(first, "first", [second, legacy], "room1");
+  await flush(other, "other", [legacy], "room2");
+
+  assert.equal(second.received("NEWPEER|").length, 1);
+  assert.equal(legacy.received("NEWPEER|").length, 1);
+  assert.deepEqual(other.messages, []);
+  assert.deepEqual(second.received("MARKER|other|"), []);
+});
+
+test("replaces a peer's connection when it reconnects with the same id, without a DISPOSE", async () => {
+  const observer = await joinPeer("observer");
+  const stale = await joinPeer("player");
+  const fresh = await joinPeer("player");
+
+  await waitFor(() => stale.isClosed);
+  assert.ok(stale.opcodes.includes(CLOSE_OPCODE));
+  assert.equal(server.peers.size, 2);
+
+  observer.send("ANSWER|observer|player|sdp|0|false");
+  await flush(observer, "observer", [fresh]);
+  assert.deepEqual(fresh.received("ANSWER|"), ["ANSWER|observer|player|sdp|0|false"]);
+  assert.deepEqual(stale.received("ANSWER|"), []);
+
+  await delay(DISPOSE_GRACE_MS * 2);
+  assert.deepEqual(observer.received("DISPOSE|"), []);
+});
+
+test("announces DISPOSE only after the grace period, and not if the peer comes back in time", async () => {
+  const observer = await joinPeer("observer", "room1");
+  const outsider = await joinPeer("outsider", "room2");
+  const leaving = await joinPeer("leaving", "room1");
+  const returning = await joinPeer("returning", "room1");
+
+  leaving.socket.destroy();
+  returning.socket.destroy();
+  await waitFor(() => server.peers.size === 2);
+  await joinPeer("returning", "room1");
+  assert.deepEqual(observer.received("DISPOSE|"), []);
+
+  await waitFor(() => observer.received("DISPOSE|").length > 0);
+  await delay(DISPOSE_GRACE_MS);
+  assert.deepEqual(observer.received("DISPOSE|"), ["DISPOSE|leaving|ALL|Remove peerConnection for leaving.|0|false|room1"]);
+  assert.deepEqual(outsider.received("DISPOSE|"), []);
+});
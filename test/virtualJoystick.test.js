@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeJoystickVector } from '../src/virtualJoystick.js';
+
+function assertVector(actual, expected, tolerance = 1e-9) {
+    for (const key of ['x', 'y', 'magnitude']) {
+        assert.ok(Math.abs(actual[key] - expected[key]) < tolerance, `${key}: ${actual[key]} ≠ ${expected[key]}`);
+    }
+}
+
+test('螢幕往上拖為 y 正、往右拖為 x 正', () => {
+    assertVector(computeJoystickVector(0, -60, 60, 0), { x: 0, y: 1, magnitude: 1 });
+    assertVector(computeJoystickVector(0, 60, 60, 0), { x: 0, y: -1, magnitude: 1 });
+    assertVector(computeJoystickVector(60, 0, 60, 0), { x: 1, y: 0, magnitude: 1 });
+    assertVector(computeJoystickVector(-30, 0, 60, 0), { x: -0.5, y: 0, magnitude: 0.5 });
+    // 水平拖動的 y 是 +0 而不是 -0
+    assert.ok(Object.is(computeJoystickVector(30, 0, 60, 0).y, 0));
+});
+
+test('超出半徑時夾在圓周上，保留方向', () => {
+    assertVector(computeJoystickVector(300, 0, 60, 0), { x: 1, y: 0, magnitude: 1 });
+    const diagonal = computeJoystickVector(100, -100, 60, 0);
+    assertVector(diagonal, { x: Math.SQRT1_2, y: Math.SQRT1_2, magnitude: 1 });
+});
+
+test('死區內為 0，死區外的量值重新映射到 [0, 1]', () => {
+    // 死區 0.25 × 半徑 60 = 15 px
+    assertVector(computeJoystickVector(0, 0, 60, 0.25), { x: 0, y: 0, magnitude: 0 });
+    assertVector(computeJoystickVector(10, 0, 60, 0.25), { x: 0, y: 0, magnitude: 0 });
+    assertVector(computeJoystickVector(15, 0, 60, 0.25), { x: 0, y: 0, magnitude: 0 });
+    assertVector(computeJoystickVector(37.5, 0, 60, 0.25), { x: 0.5, y: 0, magnitude: 0.5 });
+    assertVector(computeJoystickVector(0, -60, 60, 0.25), { x: 0, y: 1, magnitude: 1 });
+    assertVector(computeJoystickVector(0, -120, 60, 0.25), { x: 0, y: 1, magnitude: 1 });
+
+    // 推出死區時從 0 連續增加
+    assert.ok(computeJoystickVector(15.01, 0, 60, 0.25).magnitude < 0.001);
+});
+
+test('半徑為 0 或死區佔滿時不會除以 0', () => {
+    assertVector(computeJoystickVector(10, 10, 0, 0.15), { x: 0, y: 0, magnitude: 0 });
+    assertVector(computeJoystickVector(10, 0, 60, 1), { x: 0, y: 0, magnitude: 0 });
+});
@@ -0,0 +1,294 @@
+import { test, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { WebRTCManager, DataChannelClass, SignalingFrameError } from "../src/webRTCManager.js";
+import { FakeSignalingBus, FakePeerNetwork, settle } from "../src/testing/fakeWebRTC.js";
+
+let bus;
+let network;
+let managers;
+
+beforeEach(() => {
+  // WebRTCManager logs every signaling step
+  mock.method(console, "log", () => {});
+  mock.method(console, "warn", () => {});
+  mock.method(console, "error", () => {});
+  bus = new FakeSignalingBus();
+  network = new FakePeerNetwork();
+  managers = [];
+});
+
+afterEach(async () => {
+  managers.forEach((manager) => {
+    manager.closeWebRTC();
+    manager.closeWebSocket();
+  });
+  await settle();
+  mock.restoreAll();
+});
+
+// Creates a manager on the fake bus/network and records its callbacks as "<event>:<args>" strings
+function createManager(peerId, options = {}) {
+  const manager = new WebRTCManager(peerId, [], null, {
+    createWebSocket: bus.createWebSocket,
+    createPeerConnection: network.createPeerConnection,
+    reconnect: { baseDelayMs: 5, jitter: 0 },
+    ...options,
+  });
+  manager.events = [];
+  manager.onWebSocketConnection = (state) => manager.events.push(`ws:${state}`);
+  manager.onWebRTCConnection = (remotePeerId) => manager.events.push(`rtc:${remotePeerId}`);
+  manager.onDataChannelConnection = (remotePeerId) => manager.events.push(`dc:${remotePeerId}`);
+  manager.onDataChannelMessageReceived = (message, remotePeerId, channelClass) =>
+    manager.events.push(`msg:${remotePeerId}:${channelClass}:${message}`);
+  manager.onPeerDisconnected = (remotePeerId) => manager.events.push(`gone:${remotePeerId}`);
+  managers.push(manager);
+  return manager;
+}
+
+async function connectHostAndPlayer() {
+  const host = createManager("host");
+  const player = createManager("player");
+  await host.connect("ws://fake", false, false);
+  await player.connect("ws://fake", false, false);
+  await settle(40);
+  return { host, player };
+}
+
+const frameTypes = () => bus.frames.map((frame) => frame.text.split("|")[0]);
+
+test("negotiates NEWPEER -> NEWPEERACK -> OFFER -> ANSWER -> CANDIDATE and opens the data channels", async () => {
+  const { host, player } = await connectHostAndPlayer();
+
+  const types = frameTypes();
+  const firstIndex = (type) => types.indexOf(type);
+  for (const type of ["NEWPEER", "NEWPEERACK", "OFFER", "ANSWER", "CANDIDATE"]) {
+    assert.ok(types.includes(type), `no ${type} frame in ${types}`);
+  }
+  assert.ok(firstIndex("NEWPEER") < firstIndex("NEWPEERACK"));
+  assert.ok(firstIndex("NEWPEERACK") < firstIndex("OFFER"));
+  assert.ok(firstIndex("OFFER") < firstIndex("ANSWER"));
+
+  assert.equal(host.senderDataChannels.get("player")?.readyState, "open");
+  assert.equal(player.senderDataChannels.get("host")?.readyState, "open");
+  assert.equal(host.realtimeSenderDataChannels.get("player")?.readyState, "open");
+  assert.ok(host.events.includes("rtc:player"));
+  assert.ok(host.events.includes("dc:player"));
+  assert.ok(player.events.includes("dc:host"));
+
+  host.sendViaDataChannel("hello", "player");
+  player.sendViaDataChannel("move", "host", DataChannelClass.REALTIME);
+  await settle();
+  assert.ok(player.events.includes("msg:host:reliable:hello"));
+  assert.ok(host.events.includes("msg:player:realtime:move"));
+});
+
+test("keeps the peer connection when a peer's signaling drops and reconnects", async () => {
+  const { host, player } = await connectHostAndPlayer();
+
+  bus.disconnect("player");
+  await settle(40);
+
+  assert.deepEqual(player.events.filter((event) => event.startsWith("ws:")), ["ws:open", "ws:reconnecting", "ws:reconnected"]);
+  assert.ok(!host.events.includes("gone:player"));
+  host.sendViaDataChannel("still here", "player");
+  await settle();
+  assert.ok(player.events.includes("msg:host:reliable:still here"));
+});
+
+test("cleans up a peer whose ICE connection closes", async () => {
+  const { host } = await connectHostAndPlayer();
+
+  host.peerConnections.get("player").setIceConnectionState("closed");
+  await settle();
+
+  assert.ok(host.events.includes("gone:player"));
+  assert.equal(host.peerConnections.has("player"), false);
+  assert.equal(host.senderDataChannels.has("player"), false);
+  assert.equal(host.realtimeSenderDataChannels.has("player"), false);
+});
+
+test("DISPOSE from the server removes the peer and its channels", async () => {
+  const { host } = await connectHostAndPlayer();
+
+  bus.deliver("host", "DISPOSE|player|ALL|bye|0|false");
+  await settle();
+
+  assert.deepEqual(host.events.filter((event) => event.startsWith("gone:")), ["gone:player"]);
+  for (const map of [host.peerConnections, host.senderDataChannels, host.receiverDataChannels,
+    host.realtimeSenderDataChannels, host.realtimeReceiverDataChannels, host.negotiations]) {
+    assert.equal(map.has("player"), false);
+  }
+});
+
+test("ignores a DISPOSE about itself", async () => {
+  const { host } = await connectHostAndPlayer();
+
+  bus.deliver("host", "DISPOSE|host|ALL|bye|0|false");
+  await settle();
+
+  assert.equal(host.peerConnections.has("player"), true);
+  assert.ok(!host.events.some((event) => event.startsWith("gone:")));
+});
+
+test("defers an ICE restart while signaling is down and sends it once signaling reconnects", async () => {
+  const { host, player } = await connectHostAndPlayer();
+  const phases = [];
+  player.onIceConnectionPhase = (remotePeerId, phase) => phases.push(`${remotePeerId}:${phase}`);
+  const pc = player.peerConnections.get("host");
+
+  bus.disconnect("player");
+  pc.setIceConnectionState("failed");
+  const framesBeforeReconnect = bus.frames.length;
+  await settle(40);
+
+  assert.ok(player.events.includes("ws:reconnected"));
+  const offersAfterReconnect = bus.frames.slice(framesBeforeReconnect)
+    .filter((frame) => frame.text.startsWith("OFFER|player|host|"));
+  assert.equal(offersAfterReconnect.length, 1);
+  assert.equal(pc.iceConnectionState, "connected");
+  assert.deepEqual(phases, ["host:failed", "host:restarting", "host:recovered"]);
+  assert.equal(player.negotiations.get("host").isOfferDeferred, false);
+
+  host.sendViaDataChannel("back", "player");
+  await settle();
+  assert.ok(player.events.includes("msg:host:reliable:back"));
+});
+
+test("rejects peer and room ids that cannot be written into a signaling frame", () => {
+  assert.throws(() => createManager("a|b"), SignalingFrameError);
+  assert.throws(() => createManager(""), SignalingFrameError);
+  assert.throws(() => createManager("player", { roomId: "room|1" }), SignalingFrameError);
+  assert.throws(() => createManager("player", { roomId: "room", roomHostPeerId: "unity|1" }), SignalingFrameError);
+  assert.doesNotThrow(() => createManager("player", { roomId: "room", roomHostPeerId: "unity" }));
+});
+
+test("uses the 'all' ICE transport policy unless one is given", () => {
+  assert.equal(createManager("player").iceTransportPolicy, "all");
+  assert.equal(createManager("other", { iceTransportPolicy: "relay" }).iceTransportPolicy, "relay");
+});
+
+test("resolves glare when both peers offer at once and ends stable with the data channels open", async () => {
+  const { host, player } = await connectHostAndPlayer();
+  const offersBefore = bus.frames.filter((frame) => frame.text.startsWith("OFFER|")).length;
+
+  // Both sides renegotiate at the same moment, so their offers cross on the signaling server
+  await Promise.all([host._createAndSendOffer("player"), player._createAndSendOffer("host")]);
+  assert.equal(host.peerConnections.get("player").signalingState, "have-local-offer");
+  assert.equal(player.peerConnections.get("host").signalingState, "have-local-offer");
+  await settle(40);
+
+  assert.equal(bus.frames.filter((frame) => frame.text.startsWith("OFFER|")).length, offersBefore + 2);
+  const logs = console.log.mock.calls.map((call) => String(call.arguments[0]));
+  assert.equal(logs.filter((line) => line.includes("polite peer, rolling back local offer")).length, 1);
+  assert.equal(logs.filter((line) => line.includes("impolite peer, ignoring remote offer")).length, 1);
+
+  for (const [manager, remotePeerId] of [[host, "player"], [player, "host"]]) {
+    assert.equal(manager.peerConnections.get(remotePeerId).signalingState, "stable");
+    assert.equal(manager.senderDataChannels.get(remotePeerId)?.readyState, "open");
+    assert.equal(manager.realtimeSenderDataChannels.get(remotePeerId)?.readyState, "open");
+    assert.equal(manager.negotiations.get(remotePeerId).makingOffer, false);
+  }
+  host.sendViaDataChannel("after glare", "player");
+  player.sendViaDataChannel("me too", "host");
+  await settle();
+  assert.ok(player.events.includes("msg:host:reliable:after glare"));
+  assert.ok(host.events.includes("msg:player:reliable:me too"));
+});
+
+// Peer connections whose addIceCandidate rejects candidates named "bad", like a browser rejecting a malformed one
+function createRejectingPeerConnection(config) {
+  const pc = network.createPeerConnection(config);
+  const addIceCandidate = pc.addIceCandidate.bind(pc);
+  pc.addIceCandidate = async (candidate) => {
+    if (candidate.candidate === "bad") throw new TypeError("Invalid candidate");
+    return addIceCandidate(candidate);
+  };
+  return pc;
+}
+
+const candidateFrame = (from, name) => `CANDIDATE|${from}|host|${JSON.stringify({ candidate: name, sdpMid: "0" })}|0|false`;
+
+test("queues candidates that arrive before the OFFER and counts flushed and rejected ones", async () => {
+  const host = createManager("host", { createPeerConnection: createRejectingPeerConnection });
+  await host.connect("ws://fake", false, false);
+  await settle();
+
+  bus.deliver("host", candidateFrame("remote", "good"));
+  bus.deliver("host", candidateFrame("remote", "bad"));
+  bus.deliver("host", "CANDIDATE|remote|host|{not json|0|false");
+  await settle();
+  assert.equal(host.peerConnections.has("remote"), false);
+  assert.deepEqual(host.getCandidateStats("remote"), { queued: 2, flushed: 0, dropped: 1, pending: 2 });
+
+  const remote = network.createPeerConnection();
+  const offer = await remote.createOffer();
+  await remote.setLocalDescription(offer);
+  bus.deliver("host", `OFFER|remote|host|${JSON.stringify(offer)}|0|false`);
+  await settle();
+
+  const pc = host.peerConnections.get("remote");
+  assert.deepEqual(pc.remoteCandidates.map((candidate) => candidate.candidate), ["good"]);
+  assert.deepEqual(host.getCandidateStats("remote"), { queued: 2, flushed: 1, dropped: 2, pending: 0 });
+
+  // Once the remote description is set, candidates are added directly
+  bus.deliver("host", candidateFrame("remote", "late"));
+  bus.deliver("host", candidateFrame("remote", "bad"));
+  await settle();
+  assert.deepEqual(host.getCandidateStats("remote"), { queued: 2, flushed: 1, dropped: 3, pending: 0 });
+  assert.ok(pc.remoteCandidates.some((candidate) => candidate.candidate === "late"));
+});
+
+test("queues candidates until setRemoteDescription and drops them if the peer goes away first", async () => {
+  const host = createManager("host");
+  await host.connect("ws://fake", false, false);
+  await settle();
+
+  bus.deliver("host", "NEWPEER|early|ALL|hello|0|false");
+  await settle();
+  const pc = host.peerConnections.get("early");
+  assert.equal(pc.remoteDescription, null);
+
+  bus.deliver("host", candidateFrame("early", "one"));
+  bus.deliver("host", candidateFrame("early", "two"));
+  await settle();
+  assert.deepEqual(host.getCandidateStats("early"), { queued: 2, flushed: 0, dropped: 0, pending: 2 });
+  assert.equal(pc.remoteCandidates.length, 0);
+
+  bus.deliver("host", "DISPOSE|early|ALL|bye|0|false");
+  await settle();
+  assert.deepEqual(host.getCandidateStats("early"), { queued: 2, flushed: 0, dropped: 2, pending: 0 });
+});
+
+test("only meshes peers in the same room", async () => {
+  const roomOptions = { roomId: "room1", roomHostPeerId: "unity" };
+  const first = createManager("first", roomOptions);
+  const second = createManager("second", roomOptions);
+  const other = createManager("other", { roomId: "room2", roomHostPeerId: "unity" });
+  const roomless = createManager("roomless"); // Receives every room's broadcasts from the server
+  for (const manager of [first, second, other, roomless]) {
+    await manager.connect("ws://fake", false, false);
+  }
+  await settle(40);
+
+  assert.deepEqual([...first.peerConnections.keys()], ["second"]);
+  assert.deepEqual([...second.peerConnections.keys()], ["first"]);
+  assert.deepEqual([...other.peerConnections.keys()], []);
+  assert.deepEqual([...roomless.peerConnections.keys()], []);
+  assert.equal(first.senderDataChannels.get("second")?.readyState, "open");
+});
+
+test("accepts a room-less peer only when it is the room host", async () => {
+  const player = createManager("player", { roomId: "room1", roomHostPeerId: "unity" });
+  await player.connect("ws://fake", false, false);
+  await settle();
+
+  bus.deliver("player", "NEWPEER|stranger|ALL|hello|0|false"); // Room-less, not the host
+  bus.deliver("player", "NEWPEER|neighbour|ALL|hello|0|false|room2");
+  bus.deliver("player", "NEWPEER|unity|ALL|hello|0|false");
+  await settle();
+
+  assert.deepEqual([...player.peerConnections.keys()], ["unity"]);
+  const acks = bus.frames.filter((frame) => frame.text.startsWith("NEWPEERACK|player|"));
+  assert.equal(acks.length, 1);
+  assert.ok(acks[0].text.endsWith("|room1"));
+});